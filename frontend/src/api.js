@@ -1,24 +1,43 @@
 /**
  * Unified API wrapper for Slackr backend
  * Handles all HTTP requests with Promise-based approach
- * Includes automatic token injection and error handling
+ * Includes automatic token injection and typed errors (see errors.js)
  */
 
 import { BACKEND_URL } from './config.js';
-import { getToken, showError } from './helpers.js';
+import { getToken } from './helpers.js';
+import { isOfflineMode, setOfflineMode, OFFLINE_ERROR } from './offline.js';
+import { AuthError, NetworkError, createApiError, handleError } from './errors.js';
+import { recoverSession } from './session.js';
 
 /**
  * Make an authenticated API call to the backend
+ * Failures reject with an ApiError (AuthError, NotFoundError or NetworkError where it applies)
+ * and are reported to the global error handler unless the caller handles them itself
+ * If the session expired, the request is replayed once the user has logged in again
  * @param {string} path - API endpoint path (e.g., '/channel')
  * @param {string} method - HTTP method (GET, POST, PUT, DELETE)
  * @param {object|null} body - Request body for POST/PUT requests
  * @param {boolean} requireAuth - Whether to include Authorization header
+ * @param {boolean} showErrors - Whether to report failures to the global error handler
+ *                               (false for background calls and callers that show their own UI)
  * @return {Promise<any>} Promise resolving to response data
  */
+export const apiCall = (path, method = 'GET', body = null, requireAuth = true, showErrors = true) => {
+    // Background calls (e.g. polling) must not spam the error popup
+    const fail = (error) => {
+        if (showErrors) {
+            handleError(error);
+        }
+        return Promise.reject(error);
+    };
 
-export const getUserProfile = (userId) => apiCall(`/user/${userId}`, 'GET');
+    // Mutations are blocked while offline (Milestone 2.7.1)
+    const isMutation = method !== 'GET';
+    if (isMutation && isOfflineMode()) {
+        return fail(new NetworkError(OFFLINE_ERROR, method, path));
+    }
 
-export const apiCall = (path, method = 'GET', body = null, requireAuth = true) => {
     const headers = {
         'Content-Type': 'application/json',
     };
@@ -49,50 +68,68 @@ export const apiCall = (path, method = 'GET', body = null, requireAuth = true) =
     }
 
     return fetch(url, config)
-        .then(response => {
-            // Check if response is ok (status 200-299)
-            if (!response.ok) {
-                // For non-2xx responses, try to parse error message
-                return response.json()
-                    .then(data => {
-                        showError(data.error || `HTTP Error: ${response.status}`);
-                        return Promise.reject(data.error || `HTTP ${response.status}`);
-                    })
-                    .catch(() => {
-                        showError(`HTTP Error: ${response.status}`);
-                        return Promise.reject(`HTTP ${response.status}`);
-                    });
-            }
-            return response.json();
-        })
-        .then(data => {
-            // Check for API-level errors in successful responses
-            if (data && data.error) {
-                showError(data.error);
-                return Promise.reject(data.error);
-            }
-            return data;
-        })
         .catch(error => {
-            // Only handle network errors here (fetch failures)
-            // API errors are already handled above
-            if (error instanceof TypeError || error.message === 'Failed to fetch') {
-                console.error(`Network Error [${method} ${path}]:`, error);
-                showError('Network error. Please check your connection and try again.');
-                return Promise.reject('Network error');
-            }
-            // Re-throw API errors without additional handling
-            console.error(`API Error [${method} ${path}]:`, error);
-            return Promise.reject(error);
+            // No response at all: the backend is unreachable
+            console.error(`Network Error [${method} ${path}]:`, error);
+            setOfflineMode(true);
+            // Reads fall back to cached data, the offline banner informs the user
+            return fail(new NetworkError(isMutation ? OFFLINE_ERROR : 'Network error', method, path));
+        })
+        .then(response => {
+            // Any response means the backend is reachable again
+            setOfflineMode(false);
+
+            // Parse the body for the data, or for the error message of non-2xx responses
+            return response.json()
+                .catch(() => null)
+                .then(data => {
+                    // Check for non-2xx responses and API-level errors in successful responses
+                    if (!response.ok || (data && data.error)) {
+                        const error = createApiError(data && data.error, response.status, method, path);
+                        console.error(`API Error [${method} ${path}]:`, error.message);
+
+                        if (error instanceof AuthError && requireAuth) {
+                            return recoverSession()
+                                // Logged out instead: nothing left to report
+                                .catch(() => Promise.reject(error))
+                                .then(restored => {
+                                    return restored
+                                        ? apiCall(path, method, body, requireAuth, showErrors)
+                                        : fail(error);
+                                });
+                        }
+                        return fail(error);
+                    }
+                    return data;
+                });
         });
 };
 
+/**
+ * Log in
+ * @param {string} email - Email
+ * @param {string} password - Password
+ * @return {Promise<object>} Promise resolving to { token, userId }
+ */
+export const login = (email, password) => {
+    return apiCall('/auth/login', 'POST', { email, password }, false);
+};
+
+/**
+ * Get a user's profile
+ * @param {number} userId - User ID
+ * @param {boolean} showErrors - Whether to show the error popup on failure
+ * @return {Promise<object>} Promise resolving to { email, name, bio, image }
+ */
+export const getUserProfile = (userId, showErrors = true) => apiCall(`/user/${userId}`, 'GET', null, true, showErrors);
+
 /**
  * Get list of all channels (public + joined private)
+ * @param {boolean} showErrors - Whether to show the error popup on failure
  * @return {Promise<object>} Promise resolving to { channels: [...] }
  */
-export const getChannels = () => {
-    return apiCall('/channel', 'GET');
+export const getChannels = (showErrors = true) => {
+    return apiCall('/channel', 'GET', null, true, showErrors);
 };
 
 /**
@@ -155,10 +192,29 @@ export const leaveChannel = (channelId) => {
  * Get messages from a channel
  * @param {number} channelId - Channel ID
  * @param {number} start - Starting index for pagination
+ * @param {boolean} showErrors - Whether to show the error popup on failure
  * @return {Promise<object>} Promise resolving to { messages: [...] }
  */
-export const getMessages = (channelId, start = 0) => {
-    return apiCall(`/message/${channelId}?start=${start}`, 'GET');
+export const getMessages = (channelId, start = 0, showErrors = true) => {
+    return apiCall(`/message/${channelId}?start=${start}`, 'GET', null, true, showErrors);
+};
+
+/**
+ * Get every message of a channel by walking the pagination until an empty page
+ * @param {number} channelId - Channel ID
+ * @return {Promise<Array>} Promise resolving to all messages (newest first)
+ */
+export const getAllMessages = (channelId) => {
+    const fetchFrom = (start, collected) => {
+        return getMessages(channelId, start)
+            .then(data => {
+                if (data.messages.length === 0) {
+                    return collected;
+                }
+                return fetchFrom(start + data.messages.length, collected.concat(data.messages));
+            });
+    };
+    return fetchFrom(0, []);
 };
 
 /**
@@ -166,9 +222,10 @@ export const getMessages = (channelId, start = 0) => {
  * @param {number} channelId - Channel ID
  * @param {string|null} message - Message text (null for image-only messages)
  * @param {string|null} image - Optional image data URL
+ * @param {boolean} showErrors - Whether to report failures to the global error handler
  * @return {Promise<object>} Promise resolving to success response
  */
-export const sendMessage = (channelId, message, image = null) => {
+export const sendMessage = (channelId, message, image = null, showErrors = true) => {
     const body = {};
     // Only include message if it's not null (Milestone 2.5.1: text OR image, not both)
     if (message !== null && message !== undefined) {
@@ -177,7 +234,7 @@ export const sendMessage = (channelId, message, image = null) => {
     if (image) {
         body.image = image;
     }
-    return apiCall(`/message/${channelId}`, 'POST', body);
+    return apiCall(`/message/${channelId}`, 'POST', body, true, showErrors);
 };
 
 /**
@@ -185,12 +242,12 @@ export const sendMessage = (channelId, message, image = null) => {
  * @param {number} channelId - Channel ID
  * @param {number} messageId - Message ID
  * @param {string} message - New message text
- * @param {string|null} image - Optional new image data URL
+ * @param {string|null} image - New image data URL, '' to remove the image, or null to keep it
  * @return {Promise<object>} Promise resolving to success response
  */
 export const editMessage = (channelId, messageId, message, image = null) => {
     const body = { message };
-    if (image) {
+    if (image !== null && image !== undefined) {
         body.image = image;
     }
     return apiCall(`/message/${channelId}/${messageId}`, 'PUT', body);
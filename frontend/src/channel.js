@@ -4,18 +4,30 @@
  * Implements Milestone 2.2.1, 2.2.2, 2.2.3
  */
 
-import {
-    getChannels,
-    createChannel,
-    getChannelDetails,
-    updateChannel,
-    joinChannel,
-    leaveChannel,
-    getUserProfile
-} from './api.js';
-import { getUserId, showError, formatTimestamp } from './helpers.js';
-import { loadMessages, handleSendMessage, showPinnedMessages } from './channel_messages.js';
+import { createChannel, updateChannel, joinChannel, leaveChannel } from './api.js';
+import { subscribe, getChannelList, getChannel, flushOutbox } from './store.js';
+import { getUser } from './user_directory.js';
+import { getUserId, showError, formatTimestamp, fileToDataUrl } from './helpers.js';
+import { openModal, closeModal } from './modal.js';
+import { loadMessages, clearMessages, handleSendMessage, showPinnedMessages } from './channel_messages.js';
 import { showInviteModal } from './channel_invite.js';
+import {
+    isOfflineMode,
+    onConnectionRestored,
+    cacheChannels,
+    getCachedChannels,
+    cacheChannelDetails,
+    getCachedChannelDetails
+} from './offline.js';
+import { routeToChannel } from './router.js';
+import { isPollLeader } from './tab_sync.js';
+import { renderUnreadBadge } from './unread.js';
+import { initComposerToolbar, setAttachedImage, setComposerContent } from './composer.js';
+import { initDrafts, saveDraft, restoreDraft, renderDraftIndicator, updateDraftIndicators } from './drafts.js';
+import { initMentions } from './mentions.js';
+import { initChannelBrowser } from './channel_browser.js';
+import { toggleMemberList, updateMemberList, closeMemberList } from './member_list.js';
+import { getDirectMessagePartner, getChannelDisplayName, isReservedChannelName } from './direct_messages.js';
 
 // Current selected channel state
 let currentChannelId = null;
@@ -28,21 +40,41 @@ let isInitialized = false; // Flag to prevent duplicate event listener registrat
 /**
  * Initialize channel functionality
  * Sets up event listeners and loads initial channel list
+ * @return {Promise} Promise resolving once the channel list has loaded
  */
 export const initChannels = () => {
     // Load channels when dashboard is shown
-    loadChannels();
+    const channelsLoaded = loadChannels();
 
     // Only set up event listeners once to prevent duplicate listeners
     if (isInitialized) {
-        return;
+        return channelsLoaded;
     }
     isInitialized = true;
 
+    // Re-render the list whenever the store fetched a changed channel list
+    // (also after background refreshes by the message poller)
+    subscribe('channels', handleChannelsChanged);
+
+    // Refresh cached content once the connection comes back (Milestone 2.7.1)
+    // and send the messages that were queued meanwhile (from the leader tab only, the outbox is shared)
+    onConnectionRestored(() => {
+        if (isPollLeader()) {
+            flushOutbox();
+        }
+        loadChannels();
+        if (currentChannelId !== null) {
+            loadChannelDetails(currentChannelId, true);
+        }
+    });
+
     // Set up create channel button
     const createChannelBtn = document.getElementById('create-channel-button');
     createChannelBtn.addEventListener('click', showCreateChannelModal);
 
+    // Set up the browser listing every public channel
+    initChannelBrowser();
+
     // Set up create channel form submission
     const createChannelForm = document.getElementById('create-channel-form');
     createChannelForm.addEventListener('submit', handleCreateChannel);
@@ -62,11 +94,20 @@ export const initChannels = () => {
         imageInput.click();
     });
 
-    // Set up image preview when file is selected
+    // Attach the selected file to the message being composed
     imageInput.addEventListener('change', () => {
-        showImagePreview();
+        attachSelectedImage();
     });
 
+    // Set up formatting toolbar and preview toggle (Markdown-lite)
+    initComposerToolbar();
+
+    // Set up @mention autocomplete and the mentions view
+    initMentions(getCurrentChannelId);
+
+    // Keep what is typed as the draft of the open channel
+    initDrafts(getCurrentChannelId);
+
     // Set up Enter key for message input
     const messageInput = document.getElementById('message-input');
     messageInput.addEventListener('keypress', (e) => {
@@ -75,38 +116,70 @@ export const initChannels = () => {
             handleSendMessage(currentChannelId);
         }
     });
+
+    return channelsLoaded;
 };
 
 /**
- * Load and display all channels (public + joined private)
+ * Load all channels and display the joined ones (public channels are browsed in the channel browser)
  * Implements 2.2.1 - Viewing a list of channels
+ * The list is rendered by the 'channels' store subscription if it changed
+ * Falls back to the cached list (and last opened channel) when offline
+ * @return {Promise} Promise resolving once the list is rendered (or failed)
  */
 export const loadChannels = () => {
-    getChannels()
-        .then(data => {
-            allChannels = data.channels; // Store for non-member access
-            renderChannelList(data.channels);
+    return getChannelList(true)
+        .then(() => {
+            // Rendered by handleChannelsChanged
         })
         .catch(error => {
             // Error already displayed by api.js
             console.error('Failed to load channels:', error);
+
+            const cachedChannels = getCachedChannels();
+            if (!isOfflineMode() || !cachedChannels) {
+                return;
+            }
+            allChannels = cachedChannels;
+            renderChannelList(cachedChannels);
+
+            // Reopen the last channel on an offline app load (Milestone 2.7.1)
+            // unless the URL already names a screen to show (Milestone 2.7.2)
+            const cachedChannel = getCachedChannelDetails();
+            if (currentChannelId === null && cachedChannel && !window.location.hash) {
+                selectChannel(cachedChannel.id);
+            }
         });
 };
 
+/**
+ * Store subscription: keep the channel list up to date
+ * @param {Array} channels - Latest channel list
+ */
+const handleChannelsChanged = (channels) => {
+    allChannels = channels; // Store for non-member access
+    cacheChannels(channels);
+    renderChannelList(channels);
+};
+
 /**
  * Render channel list in the sidebar
+ * Only joined channels are listed, the others are found in the channel browser
  * Creates DOM elements using createElement (no innerHTML)
- * @param {Array} channels - Array of channel objects
+ * @param {Array} allChannelList - Array of channel objects
  */
-const renderChannelList = (channels) => {
+const renderChannelList = (allChannelList) => {
     const channelList = document.getElementById('channel-list');
 
     // Clear existing list
     channelList.textContent = '';
 
-    // Separate public and private channels
+    // Separate public channels, private channels and direct messages
+    const userId = getUserId();
+    const channels = allChannelList.filter(ch => ch.members.includes(userId));
+    const directMessages = channels.filter(ch => getDirectMessagePartner(ch, userId) !== null);
     const publicChannels = channels.filter(ch => !ch.private);
-    const privateChannels = channels.filter(ch => ch.private);
+    const privateChannels = channels.filter(ch => ch.private && !directMessages.includes(ch));
 
     // Render public channels section
     if (publicChannels.length > 0) {
@@ -134,10 +207,23 @@ const renderChannelList = (channels) => {
         });
     }
 
+    // Render direct messages section
+    if (directMessages.length > 0) {
+        const dmHeader = document.createElement('h3');
+        dmHeader.textContent = 'Direct Messages';
+        dmHeader.className = 'channel-section-header';
+        channelList.appendChild(dmHeader);
+
+        directMessages.forEach(channel => {
+            const channelElement = createChannelElement(channel, true);
+            channelList.appendChild(channelElement);
+        });
+    }
+
     // Show message if no channels
     if (channels.length === 0) {
         const emptyMessage = document.createElement('p');
-        emptyMessage.textContent = 'No channels available. Create one to get started!';
+        emptyMessage.textContent = 'You have not joined any channels yet. Browse or create one to get started!';
         emptyMessage.className = 'empty-message';
         channelList.appendChild(emptyMessage);
     }
@@ -146,6 +232,7 @@ const renderChannelList = (channels) => {
 /**
  * Create a single channel list item element
  * Uses required class 'channel-container'
+ * Direct messages show the other user's photo and name instead of the channel name
  * @param {object} channel - Channel data object
  * @param {boolean} isPrivate - Whether channel is private
  * @return {HTMLElement} Channel container element
@@ -153,24 +240,37 @@ const renderChannelList = (channels) => {
 const createChannelElement = (channel, isPrivate) => {
     const container = document.createElement('div');
     container.className = 'channel-container';
+    container.dataset.channelId = channel.id;
 
     // Add active class if this is the current channel
     if (currentChannelId === channel.id) {
         container.classList.add('active');
     }
 
-    // Channel prefix icon
-    const prefix = document.createElement('span');
-    prefix.className = 'channel-prefix';
-    prefix.textContent = isPrivate ? '🔒 ' : '# ';
+    const partnerId = getDirectMessagePartner(channel, getUserId());
+    if (partnerId !== null) {
+        container.classList.add('direct-message');
+        appendDirectMessageLabel(container, partnerId);
+    } else {
+        // Channel prefix icon
+        const prefix = document.createElement('span');
+        prefix.className = 'channel-prefix';
+        prefix.textContent = isPrivate ? '🔒 ' : '# ';
+
+        // Channel name
+        const name = document.createElement('span');
+        name.className = 'channel-name';
+        name.textContent = channel.name;
+
+        container.appendChild(prefix);
+        container.appendChild(name);
+    }
 
-    // Channel name
-    const name = document.createElement('span');
-    name.className = 'channel-name';
-    name.textContent = channel.name;
+    // Unread count badge
+    renderUnreadBadge(container, channel.id);
 
-    container.appendChild(prefix);
-    container.appendChild(name);
+    // Draft indicator (not for the open channel)
+    renderDraftIndicator(container, channel.id);
 
     // Click handler to select channel
     container.addEventListener('click', () => {
@@ -180,36 +280,73 @@ const createChannelElement = (channel, isPrivate) => {
     return container;
 };
 
+/**
+ * Append the other user's photo and name to a direct message list item
+ * @param {HTMLElement} container - Channel container element
+ * @param {number} partnerId - The other user's ID
+ */
+const appendDirectMessageLabel = (container, partnerId) => {
+    const photo = document.createElement('img');
+    photo.className = 'channel-dm-photo';
+    photo.alt = '';
+    photo.src = 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100"%3E%3Ccircle cx="50" cy="50" r="50" fill="%23ccc"/%3E%3Ctext x="50" y="50" text-anchor="middle" dy=".3em" fill="%23fff" font-size="40"%3EU%3C/text%3E%3C/svg%3E';
+
+    const name = document.createElement('span');
+    name.className = 'channel-name';
+    name.textContent = `User #${partnerId}`; // Fallback, will be updated
+
+    getUser(partnerId)
+        .then(user => {
+            if (user.image) {
+                photo.src = user.image;
+            }
+            name.textContent = user.name || `User #${partnerId}`;
+        })
+        .catch(() => {
+            // Keep fallback name if fetch fails
+        });
+
+    container.appendChild(photo);
+    container.appendChild(name);
+};
+
 /**
  * Select a channel and display its details
  * Implements navigation to single channel screen
  * @param {number} channelId - Channel ID to select
  */
 export const selectChannel = (channelId) => {
-    currentChannelId = channelId;
+    // Keep the text typed in the previous channel as its draft
+    if (channelId !== currentChannelId) {
+        saveDraft(currentChannelId);
+        currentChannelId = channelId;
+        restoreDraft(channelId);
+    }
+
+    // Reflect the channel in the URL (Milestone 2.7.2)
+    routeToChannel(channelId);
 
     // Update active state in channel list
     document.querySelectorAll('.channel-container').forEach(el => {
-        el.classList.remove('active');
+        el.classList.toggle('active', parseInt(el.dataset.channelId) === channelId);
     });
+    updateDraftIndicators();
 
     // Hide welcome screen, show channel view
     document.getElementById('welcome-screen').style.display = 'none';
     document.getElementById('channel-view').style.display = 'flex';
 
-    // Load channel details
+    // Load channel details (served from the store after the first visit)
     loadChannelDetails(channelId);
-
-    // Reload channel list to update active state
-    loadChannels();
 };
 
 /**
  * Load and display detailed channel information
  * Implements 2.2.3 - Viewing and editing channel details
  * @param {number} channelId - Channel ID
+ * @param {boolean} forceRefresh - Bypass the store's cached details (after changing them)
  */
-const loadChannelDetails = (channelId) => {
+const loadChannelDetails = (channelId, forceRefresh = false) => {
     const userId = getUserId();
 
     // Find channel in allChannels list
@@ -225,11 +362,11 @@ const loadChannelDetails = (channelId) => {
 
     if (isMember) {
         // User is member - fetch full details from API
-        getChannelDetails(channelId)
+        // The store adds the 'id' field the API doesn't return
+        getChannel(channelId, forceRefresh)
             .then(data => {
-                // IMPORTANT: API doesn't return 'id' field, we need to add it manually
-                data.id = channelId;
                 currentChannelData = data;
+                cacheChannelDetails(data);
                 renderChannelDetails(data);
                 // Load messages for this channel (Milestone 2.3.1)
                 loadMessages(channelId);
@@ -237,6 +374,14 @@ const loadChannelDetails = (channelId) => {
             .catch(error => {
                 // Error already displayed by api.js
                 console.error('Failed to load channel details:', error);
+
+                // Show the cached details if this was the last opened channel
+                const cachedChannel = getCachedChannelDetails();
+                if (isOfflineMode() && cachedChannel && cachedChannel.id === channelId) {
+                    currentChannelData = cachedChannel;
+                    renderChannelDetails(cachedChannel);
+                    loadMessages(channelId);
+                }
             });
     } else {
         // User is NOT member - use basic info and show join button
@@ -244,14 +389,14 @@ const loadChannelDetails = (channelId) => {
         currentChannelData = channelBasicInfo;
         renderChannelDetails(channelBasicInfo);
         // Clear messages container for non-members
-        document.getElementById('messages-container').textContent = '';
+        clearMessages();
     }
 };
 
 /**
  * Render channel details section
  * Shows name, description, type, creator, timestamp
- * Shows edit options for members, join button for non-members
+ * Shows edit options and the member list for members, join button for non-members
  * @param {object} channelData - Channel details object
  */
 const renderChannelDetails = (channelData) => {
@@ -261,6 +406,7 @@ const renderChannelDetails = (channelData) => {
     const userId = getUserId();
     const isMember = channelData.members.includes(userId);
     const isCreator = channelData.creator === userId;
+    const isDirectMessage = getDirectMessagePartner(channelData, userId) !== null;
 
     // Channel header with name
     const header = document.createElement('div');
@@ -270,17 +416,27 @@ const renderChannelDetails = (channelData) => {
     nameDisplay.textContent = `${channelData.private ? '🔒 ' : '# '}${channelData.name}`;
     header.appendChild(nameDisplay);
 
+    // Direct messages are titled with the other user's name
+    if (isDirectMessage) {
+        nameDisplay.textContent = '💬 ';
+        getChannelDisplayName(channelData).then(name => {
+            nameDisplay.textContent = `💬 ${name}`;
+        });
+    }
+
     // Action buttons container
     const actions = document.createElement('div');
     actions.className = 'channel-actions';
 
     if (isMember) {
-        // Edit button (for members)
-        const editBtn = document.createElement('button');
-        editBtn.textContent = 'Edit Channel';
-        editBtn.className = 'btn-secondary';
-        editBtn.addEventListener('click', () => showEditChannelModal(channelData));
-        actions.appendChild(editBtn);
+        // Edit button (for members, direct messages keep their reserved name)
+        if (!isDirectMessage) {
+            const editBtn = document.createElement('button');
+            editBtn.textContent = 'Edit Channel';
+            editBtn.className = 'btn-secondary';
+            editBtn.addEventListener('click', () => showEditChannelModal(channelData));
+            actions.appendChild(editBtn);
+        }
 
         // View pinned messages button (Milestone 2.3.7)
         const pinnedBtn = document.createElement('button');
@@ -289,19 +445,22 @@ const renderChannelDetails = (channelData) => {
         pinnedBtn.addEventListener('click', () => showPinnedMessages(channelData.id));
         actions.appendChild(pinnedBtn);
 
-        // Invite users button (Milestone 2.4.1)
-        const inviteBtn = document.createElement('button');
-        inviteBtn.textContent = 'Invite Users';
-        inviteBtn.id = 'invite-user-button';
-        inviteBtn.className = 'btn-secondary';
-        inviteBtn.addEventListener('click', () => {
-            showInviteModal(channelData.id, () => {
-                // Reload channel details after successful invite
-                loadChannelDetails(channelData.id);
-                loadChannels();
-            });
-        });
-        actions.appendChild(inviteBtn);
+        // Member list panel
+        const membersBtn = document.createElement('button');
+        membersBtn.textContent = `Members (${channelData.members.length})`;
+        membersBtn.className = 'btn-secondary';
+        membersBtn.addEventListener('click', () => toggleMemberList(channelData));
+        actions.appendChild(membersBtn);
+
+        // Invite users button (Milestone 2.4.1, direct messages stay two-person)
+        if (!isDirectMessage) {
+            const inviteBtn = document.createElement('button');
+            inviteBtn.textContent = 'Invite Users';
+            inviteBtn.id = 'invite-user-button';
+            inviteBtn.className = 'btn-secondary';
+            inviteBtn.addEventListener('click', () => openInviteModal(channelData.id));
+            actions.appendChild(inviteBtn);
+        }
 
         // Leave button (for non-creators)
         if (!isCreator) {
@@ -323,6 +482,9 @@ const renderChannelDetails = (channelData) => {
     header.appendChild(actions);
     container.appendChild(header);
 
+    // An open member list follows the channel shown
+    updateMemberList(channelData);
+
     // Channel info section (only visible to members)
     if (isMember) {
         const infoSection = document.createElement('div');
@@ -343,7 +505,7 @@ const renderChannelDetails = (channelData) => {
         const typeLabel = document.createElement('strong');
         typeLabel.textContent = 'Type: ';
         const typeText = document.createElement('span');
-        typeText.textContent = channelData.private ? 'Private' : 'Public';
+        typeText.textContent = isDirectMessage ? 'Direct message' : (channelData.private ? 'Private' : 'Public');
 
         const typeP = document.createElement('p');
         typeP.appendChild(typeLabel);
@@ -377,7 +539,7 @@ const renderChannelDetails = (channelData) => {
         container.appendChild(infoSection);
 
         // Fetch creator name asynchronously
-        getUserProfile(channelData.creator)
+        getUser(channelData.creator)
             .then(userData => {
                 if (userData && userData.name) {
                     creatorName.textContent = userData.name;
@@ -393,7 +555,7 @@ const renderChannelDetails = (channelData) => {
  * Show create channel modal
  * Implements 2.2.2 - Creating a new channel
  */
-const showCreateChannelModal = () => {
+export const showCreateChannelModal = () => {
     // Reset edit mode flags
     isEditMode = false;
     editingChannelId = null;
@@ -413,7 +575,7 @@ const showCreateChannelModal = () => {
     document.getElementById('create-channel-is-private').disabled = false;
 
     // Show modal
-    modal.style.display = 'flex';
+    openModal(modal, { onClose: hideCreateChannelModal });
 };
 
 /**
@@ -421,7 +583,7 @@ const showCreateChannelModal = () => {
  */
 const hideCreateChannelModal = () => {
     const modal = document.getElementById('create-channel-container');
-    modal.style.display = 'none';
+    closeModal(modal);
 
     // Reset edit mode flags
     isEditMode = false;
@@ -453,12 +615,17 @@ const handleCreateChannel = (event) => {
         return;
     }
 
+    if (isReservedChannelName(name)) {
+        showError('Channel names starting with "dm:" are reserved for direct messages');
+        return;
+    }
+
     if (isEditMode && editingChannelId) {
         // Update existing channel
         updateChannel(editingChannelId, name, description)
             .then(() => {
                 hideCreateChannelModal();
-                loadChannelDetails(editingChannelId);
+                loadChannelDetails(editingChannelId, true);
                 loadChannels();
             })
             .catch(error => {
@@ -471,13 +638,8 @@ const handleCreateChannel = (event) => {
                 console.log('Channel created:', data.channelId);
                 hideCreateChannelModal();
                 // Wait for channels to load before selecting the new channel
-                return getChannels()
-                    .then(channelsData => {
-                        allChannels = channelsData.channels;
-                        renderChannelList(channelsData.channels);
-                        // Now select the newly created channel
-                        selectChannel(data.channelId);
-                    });
+                return loadChannels()
+                    .then(() => selectChannel(data.channelId));
             })
             .catch(error => {
                 console.error('Failed to create channel:', error);
@@ -510,7 +672,7 @@ const showEditChannelModal = (channelData) => {
     document.getElementById('create-channel-is-private').disabled = true; // Can't change privacy
 
     // Show modal
-    modal.style.display = 'flex';
+    openModal(modal, { onClose: hideCreateChannelModal });
 };
 
 /**
@@ -520,8 +682,8 @@ const showEditChannelModal = (channelData) => {
 const handleJoinChannel = (channelId) => {
     joinChannel(channelId)
         .then(() => {
-            loadChannelDetails(channelId);
-            loadChannels();
+            // Membership is read from the channel list, so reload it first
+            loadChannels().then(() => loadChannelDetails(channelId, true));
         })
         .catch(error => {
             // Error already displayed by api.js
@@ -529,6 +691,63 @@ const handleJoinChannel = (channelId) => {
         });
 };
 
+/**
+ * Show the invite modal for a channel, reloading it after a successful invite
+ * @param {number} channelId - Channel ID
+ */
+const openInviteModal = (channelId) => {
+    showInviteModal(channelId, () => {
+        loadChannelDetails(channelId, true);
+        loadChannels();
+    });
+};
+
+/**
+ * Check whether the selected channel is one the user is a member of
+ * @return {boolean} True if a joined channel is open
+ */
+const isCurrentChannelJoined = () => {
+    return currentChannelData !== null && currentChannelData.members.includes(getUserId());
+};
+
+/**
+ * Show the invite modal for the selected channel (direct messages stay two-person)
+ * @return {boolean} True if the modal was shown
+ */
+export const showCurrentChannelInvite = () => {
+    if (!isCurrentChannelJoined() || getDirectMessagePartner(currentChannelData, getUserId()) !== null) {
+        return false;
+    }
+    openInviteModal(currentChannelData.id);
+    return true;
+};
+
+/**
+ * Show the pinned messages of the selected channel
+ * @return {boolean} True if they were shown
+ */
+export const showCurrentChannelPins = () => {
+    if (!isCurrentChannelJoined()) {
+        return false;
+    }
+    showPinnedMessages(currentChannelData.id);
+    return true;
+};
+
+/**
+ * Select the channel above or below the selected one in the sidebar
+ * Without a selected channel, the first (or last) channel is selected
+ * @param {number} step - -1 for the previous channel, 1 for the next one
+ */
+export const selectAdjacentChannel = (step) => {
+    const items = [...document.querySelectorAll('#channel-list .channel-container')];
+    const index = items.findIndex(el => parseInt(el.dataset.channelId) === currentChannelId);
+    const target = index === -1 ? items[step > 0 ? 0 : items.length - 1] : items[index + step];
+    if (target) {
+        selectChannel(parseInt(target.dataset.channelId));
+    }
+};
+
 /**
  * Handle leaving a channel
  * @param {number} channelId - Channel ID to leave
@@ -537,10 +756,7 @@ const handleLeaveChannel = (channelId) => {
     leaveChannel(channelId)
         .then(() => {
             // Return to welcome screen
-            document.getElementById('channel-view').style.display = 'none';
-            document.getElementById('welcome-screen').style.display = 'flex';
-            currentChannelId = null;
-            currentChannelData = null;
+            deselectChannel();
 
             // Reload channel list
             loadChannels();
@@ -551,6 +767,30 @@ const handleLeaveChannel = (channelId) => {
         });
 };
 
+/**
+ * Return to the welcome screen with no channel selected
+ */
+export const deselectChannel = () => {
+    document.getElementById('channel-view').style.display = 'none';
+    document.getElementById('welcome-screen').style.display = 'flex';
+
+    // Keep what was typed as the channel's draft, then empty the composer
+    saveDraft(currentChannelId);
+    currentChannelId = null;
+    currentChannelData = null;
+    setComposerContent('', null);
+    clearMessages();
+    closeMemberList();
+
+    // Update active state in channel list
+    document.querySelectorAll('.channel-container').forEach(el => {
+        el.classList.remove('active');
+    });
+    updateDraftIndicators();
+
+    routeToChannel(null);
+};
+
 /**
  * Get current selected channel ID
  * @return {number|null} Current channel ID or null
@@ -558,54 +798,25 @@ const handleLeaveChannel = (channelId) => {
 export const getCurrentChannelId = () => currentChannelId;
 
 /**
- * Show image preview when user selects an image file
- * Displays thumbnail in the message input area
+ * Attach the image the user selected to the message being composed
+ * The composer shows its preview, and the channel's draft keeps it
  */
-const showImagePreview = () => {
+const attachSelectedImage = () => {
     const imageInput = document.getElementById('message-image-input');
-    const previewContainer = document.getElementById('message-image-preview-container');
-
-    // Clear existing preview
-    previewContainer.textContent = '';
-
-    if (!imageInput.files || !imageInput.files[0]) {
-        previewContainer.style.display = 'none';
+    const file = imageInput.files && imageInput.files[0];
+    if (!file) {
         return;
     }
 
-    const file = imageInput.files[0];
-
-    // Create file reader to generate preview
-    const reader = new FileReader();
-    reader.onload = (e) => {
-        // Create preview image
-        const img = document.createElement('img');
-        img.src = e.target.result;
-        img.className = 'message-image-preview';
-        img.alt = 'Image preview';
-
-        // Create filename label
-        const label = document.createElement('span');
-        label.textContent = file.name;
-        label.style.flex = '1';
-        label.style.fontSize = 'var(--font-size-sm)';
-
-        // Create remove button
-        const removeBtn = document.createElement('button');
-        removeBtn.textContent = '✕ Remove';
-        removeBtn.className = 'message-image-preview-remove';
-        removeBtn.addEventListener('click', () => {
+    fileToDataUrl(file)
+        .then(dataUrl => {
+            setAttachedImage({ name: file.name, dataUrl });
+        })
+        .catch(error => {
+            showError(error.message);
+        })
+        .then(() => {
+            // Allow selecting the same file again after removing it
             imageInput.value = '';
-            previewContainer.style.display = 'none';
-            previewContainer.textContent = '';
         });
-
-        // Assemble preview
-        previewContainer.appendChild(img);
-        previewContainer.appendChild(label);
-        previewContainer.appendChild(removeBtn);
-        previewContainer.style.display = 'flex';
-    };
-
-    reader.readAsDataURL(file);
 };
@@ -0,0 +1,283 @@
+/**
+ * Channel browser for Slackr
+ * The sidebar only lists the channels the user joined; every public channel
+ * can be found here, filtered by text and sorted by name, age or size
+ *
+ * The backend only returns channel details to members, so the description
+ * and creation date are shown for joined channels; for the others the
+ * browser shows what the channel list has (name, creator and members)
+ */
+
+import { joinChannel } from './api.js';
+import { subscribe, getChannelList, getChannel } from './store.js';
+import { getUsers } from './user_directory.js';
+import { getUserId, formatTimestamp } from './helpers.js';
+import { selectChannel, loadChannels } from './channel.js';
+import { openModal, closeModal } from './modal.js';
+
+let browserChannels = null; // Public channels with details and creator name, null until loaded
+let browserLoadId = 0; // Incremented per load to discard stale responses
+let isInitialized = false; // Flag to prevent duplicate event listener registration
+
+/**
+ * Set up the browse button and the channel browser (once)
+ */
+export const initChannelBrowser = () => {
+    if (isInitialized) {
+        return;
+    }
+    isInitialized = true;
+
+    const panel = document.getElementById('channel-browser');
+    document.getElementById('browse-channels-button').addEventListener('click', showChannelBrowser);
+    document.getElementById('channel-browser-close').addEventListener('click', hideChannelBrowser);
+    panel.addEventListener('click', (e) => {
+        if (e.target === panel) {
+            hideChannelBrowser();
+        }
+    });
+
+    document.getElementById('channel-browser-filter').addEventListener('input', renderChannelBrowser);
+    document.getElementById('channel-browser-sort').addEventListener('change', renderChannelBrowser);
+
+    // Channels created, joined or left meanwhile (also in other tabs)
+    subscribe('channels', (channels) => {
+        if (isChannelBrowserOpen()) {
+            loadChannelBrowser(channels);
+        }
+    });
+};
+
+/**
+ * Check whether the channel browser is shown
+ * @return {boolean} True if open
+ */
+const isChannelBrowserOpen = () => document.getElementById('channel-browser').style.display !== 'none';
+
+/**
+ * Show the channel browser with the latest channel list
+ */
+export const showChannelBrowser = () => {
+    const status = document.getElementById('channel-browser-status');
+
+    document.getElementById('channel-browser-filter').value = '';
+    document.getElementById('channel-browser-results').textContent = '';
+    browserChannels = null;
+    status.textContent = 'Loading channels...';
+
+    // A changed list is loaded by the 'channels' subscription
+    const loadId = browserLoadId;
+    getChannelList(true)
+        .then(channels => {
+            if (loadId === browserLoadId && isChannelBrowserOpen()) {
+                loadChannelBrowser(channels);
+            }
+        })
+        .catch(error => {
+            console.error('Failed to load channels:', error);
+            status.textContent = 'Failed to load channels.';
+        });
+
+    openModal(document.getElementById('channel-browser'), {
+        onClose: hideChannelBrowser,
+        initialFocus: document.getElementById('channel-browser-filter')
+    });
+};
+
+/**
+ * Hide the channel browser
+ */
+const hideChannelBrowser = () => {
+    browserLoadId++;
+    closeModal(document.getElementById('channel-browser'));
+};
+
+/**
+ * Add the details of joined channels and the creators' names to the public channels
+ * @param {Array} channels - Channel list
+ * @return {Promise<Array>} Promise resolving to the public channels
+ *                          with description, createdAt (null if unknown) and creatorName
+ */
+const loadPublicChannels = (channels) => {
+    const userId = getUserId();
+    const publicChannels = channels.filter(channel => !channel.private);
+
+    const withDetails = publicChannels.map(channel => {
+        const basic = { ...channel, description: null, createdAt: null };
+        if (!channel.members.includes(userId)) {
+            return Promise.resolve(basic);
+        }
+        return getChannel(channel.id)
+            .then(details => ({ ...basic, description: details.description, createdAt: details.createdAt }))
+            .catch(() => basic);
+    });
+
+    return Promise.all(withDetails)
+        .then(entries => getUsers(entries.map(entry => entry.creator))
+            .then(users => entries.map(entry => {
+                const creator = users[entry.creator];
+                return { ...entry, creatorName: (creator && creator.name) || `User #${entry.creator}` };
+            })));
+};
+
+/**
+ * Load the public channels into the browser and render them
+ * @param {Array} channels - Channel list
+ */
+const loadChannelBrowser = (channels) => {
+    const loadId = ++browserLoadId;
+
+    loadPublicChannels(channels)
+        .then(entries => {
+            // Ignore the response if the browser was closed or reloaded meanwhile
+            if (loadId !== browserLoadId) {
+                return;
+            }
+            browserChannels = entries;
+            renderChannelBrowser();
+        })
+        .catch(error => {
+            console.error('Failed to load channel details:', error);
+        });
+};
+
+/**
+ * Compare two channels for the selected sort order (ties are sorted by name)
+ * Channels without a known creation date are listed after the others when sorting by age
+ * @param {string} sortBy - 'name', 'newest' or 'members'
+ * @return {Function} Compare function for Array.sort
+ */
+const getChannelComparator = (sortBy) => {
+    const byName = (a, b) => a.name.localeCompare(b.name);
+
+    if (sortBy === 'newest') {
+        return (a, b) => {
+            if (a.createdAt && b.createdAt && a.createdAt !== b.createdAt) {
+                return new Date(b.createdAt) - new Date(a.createdAt);
+            }
+            if (!a.createdAt !== !b.createdAt) {
+                return a.createdAt ? -1 : 1;
+            }
+            return byName(a, b);
+        };
+    }
+    if (sortBy === 'members') {
+        return (a, b) => (b.members.length - a.members.length) || byName(a, b);
+    }
+    return byName;
+};
+
+/**
+ * Render the loaded channels matching the filter in the selected order
+ */
+const renderChannelBrowser = () => {
+    if (!browserChannels) {
+        return;
+    }
+
+    const status = document.getElementById('channel-browser-status');
+    const results = document.getElementById('channel-browser-results');
+    const query = document.getElementById('channel-browser-filter').value.trim().toLowerCase();
+    const sortBy = document.getElementById('channel-browser-sort').value;
+
+    const matches = browserChannels
+        .filter(channel => {
+            const text = `${channel.name} ${channel.description || ''}`.toLowerCase();
+            return text.includes(query);
+        })
+        .sort(getChannelComparator(sortBy));
+
+    results.textContent = '';
+    if (browserChannels.length === 0) {
+        status.textContent = 'There are no public channels yet.';
+    } else if (matches.length === 0) {
+        status.textContent = 'No channels match your search.';
+    } else {
+        status.textContent = `${matches.length} channel${matches.length === 1 ? '' : 's'}`;
+    }
+
+    matches.forEach(channel => {
+        results.appendChild(createBrowserItem(channel));
+    });
+};
+
+/**
+ * Create a channel browser row: name, description, creator, member count and creation date
+ * with a button to open (members) or join the channel
+ * @param {object} channel - Public channel with description, createdAt and creatorName
+ * @return {HTMLElement} Row element
+ */
+const createBrowserItem = (channel) => {
+    const isMember = channel.members.includes(getUserId());
+
+    const item = document.createElement('div');
+    item.className = 'channel-browser-item';
+
+    const info = document.createElement('div');
+    info.className = 'channel-browser-info';
+
+    const name = document.createElement('div');
+    name.className = 'channel-browser-name';
+    name.textContent = `# ${channel.name}`;
+    info.appendChild(name);
+
+    const description = document.createElement('div');
+    description.className = 'channel-browser-description';
+    if (channel.description) {
+        description.textContent = channel.description;
+    } else {
+        description.classList.add('empty-description');
+        description.textContent = isMember ? 'No description' : 'Join to see the description';
+    }
+    info.appendChild(description);
+
+    const memberCount = channel.members.length;
+    const meta = document.createElement('div');
+    meta.className = 'channel-browser-meta';
+    meta.textContent = [
+        `Created by ${channel.creatorName}`,
+        channel.createdAt ? formatTimestamp(channel.createdAt) : null,
+        `${memberCount} member${memberCount === 1 ? '' : 's'}`
+    ].filter(Boolean).join(' · ');
+    info.appendChild(meta);
+
+    const button = document.createElement('button');
+    if (isMember) {
+        button.className = 'btn-secondary';
+        button.textContent = 'Open';
+        button.addEventListener('click', () => {
+            hideChannelBrowser();
+            selectChannel(channel.id);
+        });
+    } else {
+        button.textContent = 'Join';
+        button.addEventListener('click', () => handleBrowserJoin(channel.id, button));
+    }
+
+    item.appendChild(info);
+    item.appendChild(button);
+    return item;
+};
+
+/**
+ * Join a channel from the browser and open it
+ * @param {number} channelId - Channel ID
+ * @param {HTMLButtonElement} button - The row's join button
+ */
+const handleBrowserJoin = (channelId, button) => {
+    button.disabled = true;
+    button.textContent = 'Joining...';
+
+    joinChannel(channelId)
+        .then(() => {
+            hideChannelBrowser();
+            // Membership is read from the channel list, so reload it first
+            return loadChannels().then(() => selectChannel(channelId));
+        })
+        .catch(error => {
+            // Error already displayed by api.js
+            console.error('Failed to join channel:', error);
+            button.disabled = false;
+            button.textContent = 'Join';
+        });
+};
@@ -4,8 +4,11 @@
  * Implements Milestone 2.4.1
  */
 
-import { getAllUsers, inviteUserToChannel, getChannelDetails } from './api.js';
+import { inviteUserToChannel } from './api.js';
+import { getChannel } from './store.js';
+import { getUserList, getUsers } from './user_directory.js';
 import { showError, showNotice } from './helpers.js';
+import { openModal, closeModal } from './modal.js';
 
 /**
  * Show invite users modal for a channel
@@ -19,26 +22,26 @@ export const showInviteModal = (channelId, onSuccess) => {
     const cancelBtn = document.getElementById('invite-cancel-button');
     const userListContainer = document.getElementById('invite-user-list');
 
-    // Show modal
-    modal.style.display = 'flex';
+    // Show modal (Escape closes it like the cancel button)
+    openModal(modal, { onClose: () => closeInvite() });
 
     // Clear previous list
     userListContainer.textContent = '';
 
     // Fetch channel details to get current members
-    getChannelDetails(channelId)
+    getChannel(channelId)
         .then(channelData => {
             const currentMembers = channelData.members || [];
 
-            // Fetch all users
-            return getAllUsers()
-                .then(data => {
-                    return { allUsers: data.users, currentMembers };
+            // Fetch all users, then the names of those who can be invited
+            return getUserList()
+                .then(allUsers => {
+                    const candidates = allUsers.filter(user => !currentMembers.includes(user.id));
+                    return getUsers(candidates.map(user => user.id))
+                        .then(profiles => candidates.map(user => ({ ...user, ...profiles[user.id] })));
                 });
         })
-        .then(({ allUsers, currentMembers }) => {
-            // Filter out users who are already members
-            const nonMembers = allUsers.filter(user => !currentMembers.includes(user.id));
+        .then(nonMembers => {
 
             // Sort by name alphabetically (case-insensitive), handling undefined/null names
             nonMembers.sort((a, b) => {
@@ -92,7 +95,7 @@ export const showInviteModal = (channelId, onSuccess) => {
         Promise.all(invitePromises)
             .then(() => {
                 showNotice(`Successfully invited ${userIds.length} user(s)`);
-                closeModal();
+                closeInvite();
                 if (onSuccess) {
                     onSuccess();
                 }
@@ -104,12 +107,12 @@ export const showInviteModal = (channelId, onSuccess) => {
 
     // Handle cancel button
     const cancelHandler = () => {
-        closeModal();
+        closeInvite();
     };
 
     // Close modal function
-    const closeModal = () => {
-        modal.style.display = 'none';
+    const closeInvite = () => {
+        closeModal(modal);
         userListContainer.textContent = '';
         submitBtn.removeEventListener('click', submitHandler);
         cancelBtn.removeEventListener('click', cancelHandler);
@@ -119,7 +122,7 @@ export const showInviteModal = (channelId, onSuccess) => {
     // Click outside to close
     const outsideClickHandler = (e) => {
         if (e.target === modal) {
-            closeModal();
+            closeInvite();
         }
     };
 
@@ -3,42 +3,567 @@
  * Implements Milestone 2.3 - Channel messages
  */
 
+import { getMessages, getAllMessages, editMessage, deleteMessage } from './api.js';
 import {
-    getMessages,
-    sendMessage,
-    editMessage,
-    deleteMessage,
-    pinMessage,
-    unpinMessage,
-    reactMessage,
-    unreactMessage,
-    getUserProfile
-} from './api.js';
-import { getUserId, showError, showNotice, formatTimestamp, fileToDataUrl } from './helpers.js';
+    subscribe,
+    peekMessages,
+    loadNewestMessages,
+    sendChannelMessage,
+    getPendingMessages,
+    retryMessage,
+    discardMessage,
+    updateMessage,
+    removeMessage,
+    toggleReaction,
+    togglePin
+} from './store.js';
+import { getUser, getUsers, peekUser } from './user_directory.js';
+import { getUserId, showError, showNotice, announce, formatTimestamp, fileToDataUrl } from './helpers.js';
 import { showUserProfile } from './user_profile.js';
-
-// Available emoji reactions (Milestone 2.3.6)
-const REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '😡'];
+import { isOfflineMode, cacheMessages, getCachedMessages, OFFLINE_ERROR } from './offline.js';
+import { markChannelRead } from './unread.js';
+import { renderFormattedText, mentionsToPlainText } from './formatter.js';
+import { getComposerContent, setComposerContent } from './composer.js';
+import { parseReply, encodeReply, encodeMessage, getMessageText, openThread, closeThread } from './threads.js';
+import { showEmojiPicker } from './emoji_picker.js';
+import { openModal, closeModal, isTopModal } from './modal.js';
+
+// Reaction details (who reacted) on touch screens (Milestone 2.3.6)
+const LONG_PRESS_DELAY = 500; // Milliseconds a reaction is pressed before its details show
+const MAX_REACTION_NAMES = 10; // Names listed before "and N others"
+
+// Pinned messages across the whole history, per channel (Milestone 2.3.7)
+const pinnedCache = {};
+const pinnedLoads = {}; // channelId -> in-flight walk through the history for its pins
+let pinnedLoadId = 0; // Incremented when the pinned modal closes or the channel changes, to discard stale loads
 
 // Image gallery state (Milestone 2.5.2)
-let currentImageIndex = 0;
-let channelImages = [];
+let galleryChannelId = null; // Channel the gallery pages through
+let galleryLoadId = 0; // Incremented on open/close to discard stale page responses
+let galleryImages = []; // Messages with images, oldest first
+let galleryNextStart = 0; // Offset of the next (older) page to request
+let galleryHasMore = true; // False once the backend returns an empty page
+let galleryLoadPromise = null; // In-flight lazy load of older images
+let galleryLoadFailed = false; // True after loading older images failed, retried only when navigating back
+let galleryLocateFailed = false; // True after the pages up to the clicked image failed to load, retried with the Retry button
+let currentImageIndex = -1; // Index in galleryImages, -1 until the clicked image is located
+let viewerMessage = null; // Message whose image is displayed
+let isImageViewerInitialized = false; // Flag to prevent duplicate event listener registration
+
+// Cancels the open inline message editor, if any (Milestone 2.3.5)
+let cancelActiveEdit = null;
+
+// Infinite scroll state (Milestone 2.6.1)
+const SCROLL_LOAD_THRESHOLD = 50; // Pixels from the top that trigger loading older messages
+let messagesChannelId = null; // Channel the messages container currently shows
+let messagesLoadId = 0; // Incremented on every (re)load to discard stale page responses
+let nextMessageStart = 0; // Offset of the next (older) page to request
+let hasMoreMessages = true; // False once the backend returns an empty page
+let isLoadingOlderMessages = false; // Prevent overlapping page fetches
+let isScrollListenerAttached = false; // Flag to prevent duplicate scroll listeners
+let pendingJump = null; // { channelId, messageId } to scroll to once it has been loaded
+let loadedMessages = {}; // messageId -> message rendered in the messages container
+let isSubscribedToStore = false; // Flag to prevent duplicate store subscriptions
+
+// Threaded replies among the loaded messages
+let threadReplies = {}; // parentId -> replies (hidden from the timeline)
+let replyParents = {}; // replyId -> parentId
 
 /**
  * Load and display messages for a channel
  * Implements 2.3.1 - Viewing channel messages
+ * Resets infinite scroll state and loads the newest page
+ * The page stored from the last visit is shown while it is re-fetched
  * @param {number} channelId - Channel ID
  */
 export const loadMessages = (channelId) => {
-    getMessages(channelId, 0)
-        .then(data => {
-            renderMessages(data.messages, channelId);
+    // Pins may have changed since the channel was last opened
+    if (channelId !== messagesChannelId) {
+        delete pinnedCache[channelId];
+        closePinnedMessagesModal();
+        closeThread();
+    }
+
+    // Reset infinite scroll state for this channel
+    resetScrollState(channelId);
+    const loadId = messagesLoadId;
+    attachScrollListener();
+    subscribeToMessageChanges();
+
+    const storedMessages = peekMessages(channelId);
+    if (storedMessages) {
+        renderMessages(storedMessages, channelId);
+    }
+
+    loadNewestMessages(channelId)
+        .then(messages => {
+            // Ignore the response if the messages were reloaded meanwhile
+            if (loadId !== messagesLoadId) {
+                return;
+            }
+            showNewestMessages(messages, channelId, storedMessages);
         })
         .catch(error => {
             console.error('Failed to load messages:', error);
+
+            // Show the cached messages when offline (Milestone 2.7.1)
+            const cachedMessages = getCachedMessages(channelId);
+            if (isOfflineMode() && cachedMessages && loadId === messagesLoadId) {
+                hasMoreMessages = false;
+                renderMessages(cachedMessages, channelId);
+            }
+        });
+};
+
+/**
+ * Display a freshly fetched newest page and start infinite scroll from it
+ * @param {Array} messages - Newest page of messages (newest first)
+ * @param {number} channelId - Channel ID
+ * @param {Array|null} renderedMessages - Page already rendered from the store, if any
+ */
+const showNewestMessages = (messages, channelId, renderedMessages) => {
+    nextMessageStart = messages.length;
+    hasMoreMessages = messages.length > 0;
+    cacheMessages(channelId, messages);
+    markChannelRead(channelId, messages);
+
+    // Skip re-rendering when the stored page was still up to date
+    if (JSON.stringify(messages) !== JSON.stringify(renderedMessages)) {
+        renderMessages(messages, channelId);
+    }
+    if (!tryPendingJump()) {
+        fillMessagesViewport();
+    }
+};
+
+/**
+ * Add new messages of a re-fetched newest page to the rendered ones and update changed ones
+ * Unlike a re-render, this keeps the loaded history, the scroll position (unless the user
+ * was at the bottom) and the inline editor
+ * @param {Array} messages - Newest page of messages (newest first)
+ * @param {number} channelId - Channel ID
+ * @param {boolean} scrollToBottom - Whether to show the newest message anyway (e.g. after sending one)
+ */
+const mergeNewestMessages = (messages, channelId, scrollToBottom = false) => {
+    const container = document.getElementById('messages-container');
+    const isAtBottom = container.scrollHeight - container.scrollTop - container.clientHeight < SCROLL_LOAD_THRESHOLD;
+    cacheMessages(channelId, messages);
+    markChannelRead(channelId, messages);
+
+    // Pending messages another tab has sent meanwhile are now in the page
+    const pendingIds = getPendingMessages(channelId).map(msg => msg.id);
+    Object.values(loadedMessages)
+        .filter(msg => msg.pending && !pendingIds.includes(msg.id))
+        .forEach(msg => removeMessageElements(msg.id));
+
+    [...messages].reverse().forEach(msg => {
+        const previous = loadedMessages[msg.id];
+        if (previous) {
+            if (JSON.stringify(previous) !== JSON.stringify(msg)) {
+                replaceMessage(msg);
+            }
+            return;
+        }
+
+        // Older pages are requested by offset from the newest message, which moved
+        nextMessageStart++;
+        loadedMessages[msg.id] = msg;
+
+        const emptyMsg = container.querySelector(':scope > .empty-message');
+        if (emptyMsg) {
+            emptyMsg.remove();
+        }
+
+        const reply = parseReply(msg.message);
+        if (reply) {
+            // Replies only update the reply count of their parent
+            replyParents[msg.id] = reply.parentId;
+            threadReplies[reply.parentId] = (threadReplies[reply.parentId] || []).concat(msg);
+            if (loadedMessages[reply.parentId]) {
+                replaceMessageElements(loadedMessages[reply.parentId]);
+            }
+            return;
+        }
+        insertMessageElement(msg);
+        if (msg.pinned) {
+            updatePinnedSection(container);
+        }
+    });
+
+    if (isAtBottom || scrollToBottom) {
+        container.scrollTop = container.scrollHeight;
+    }
+};
+
+/**
+ * Subscribe to message changes from the store (once)
+ */
+const subscribeToMessageChanges = () => {
+    if (isSubscribedToStore) {
+        return;
+    }
+    isSubscribedToStore = true;
+    subscribe('messages', handleMessageChange);
+};
+
+/**
+ * Apply a message change from the store to the messages container
+ * @param {object} change - { type, channelId, message | messageId | messages }
+ */
+const handleMessageChange = (change) => {
+    if (change.channelId !== messagesChannelId) {
+        return;
+    }
+
+    if (change.type === 'refreshed') {
+        announceNewMessages(change.messages);
+
+        // Keep the loaded history and an open editor, a message this tab sent is scrolled into view
+        mergeNewestMessages(change.messages, change.channelId, change.isOwnSend);
+    } else if (change.type === 'added') {
+        appendPendingMessage(change.message);
+    } else if (change.type === 'updated') {
+        replaceMessage(change.message);
+    } else if (change.type === 'removed') {
+        removeMessageElements(change.messageId);
+    }
+};
+
+/**
+ * Announce messages from other users that are not shown yet to screen readers
+ * @param {Array} messages - Newest page of messages (newest first)
+ */
+const announceNewMessages = (messages) => {
+    const userId = getUserId();
+    const newMessages = messages.filter(msg => !loadedMessages[msg.id] && msg.sender !== userId);
+
+    if (newMessages.length === 0) {
+        return;
+    }
+    if (newMessages.length > 1) {
+        announce(`${newMessages.length} new messages`);
+        return;
+    }
+
+    const msg = newMessages[0];
+    const preview = mentionsToPlainText(getMessageText(msg.message)) || 'Image';
+    getUser(msg.sender)
+        .then(user => user.name || `User #${msg.sender}`)
+        .catch(() => `User #${msg.sender}`)
+        .then(senderName => announce(`New message from ${senderName}: ${preview}`));
+};
+
+/**
+ * Show a message that is still being sent at the bottom of the timeline
+ * Pending replies are shown in the thread panel instead
+ * @param {object} msg - Pending message
+ */
+const appendPendingMessage = (msg) => {
+    if (parseReply(msg.message)) {
+        return;
+    }
+
+    const container = document.getElementById('messages-container');
+    const emptyMsg = container.querySelector(':scope > .empty-message');
+    if (emptyMsg) {
+        emptyMsg.remove();
+    }
+
+    loadedMessages[msg.id] = msg;
+    container.appendChild(createMessageElement(msg, getUserId(), messagesChannelId));
+    container.scrollTop = container.scrollHeight;
+};
+
+/**
+ * Update a rendered message, moving it between the pinned section and the timeline if needed
+ * @param {object} msg - Updated message
+ */
+const replaceMessage = (msg) => {
+    const previous = loadedMessages[msg.id];
+    if (!previous) {
+        return;
+    }
+    loadedMessages[msg.id] = msg;
+
+    if (previous.pinned === msg.pinned) {
+        replaceMessageElements(msg);
+        return;
+    }
+
+    const container = document.getElementById('messages-container');
+    container.querySelectorAll(`[data-message-id="${msg.id}"]`).forEach(el => el.remove());
+    insertMessageElement(msg);
+    updatePinnedSection(container);
+};
+
+/**
+ * Re-create the elements of a message in place
+ * @param {object} msg - Message to render
+ */
+const replaceMessageElements = (msg) => {
+    const container = document.getElementById('messages-container');
+    container.querySelectorAll(`[data-message-id="${msg.id}"]`).forEach(el => {
+        // The inline editor would be lost with the element
+        if (el.classList.contains('editing') && cancelActiveEdit) {
+            cancelActiveEdit();
+        }
+        const isPinnedSection = el.classList.contains('message-container-pinned');
+        el.replaceWith(createMessageElement(msg, getUserId(), messagesChannelId, isPinnedSection));
+    });
+};
+
+/**
+ * Insert a message into the pinned section or the timeline, ordered by time
+ * @param {object} msg - Message to insert
+ */
+const insertMessageElement = (msg) => {
+    const container = document.getElementById('messages-container');
+    const messageEl = createMessageElement(msg, getUserId(), messagesChannelId, msg.pinned);
+
+    let parent = container;
+    if (msg.pinned) {
+        parent = getOrCreatePinnedSection(container);
+    } else if (replyParents[msg.id]) {
+        // Unpinned replies only appear in their thread
+        return;
+    }
+
+    const siblings = [...parent.querySelectorAll(':scope > .message-container')];
+    const next = siblings.find(el => {
+        const other = loadedMessages[el.dataset.messageId];
+        return other && other.sentAt > msg.sentAt;
+    });
+    parent.insertBefore(messageEl, next || null);
+};
+
+/**
+ * Remove a message from the messages container
+ * A removed reply also updates the reply count of its parent
+ * @param {number|string} messageId - Message ID
+ */
+const removeMessageElements = (messageId) => {
+    const container = document.getElementById('messages-container');
+    delete loadedMessages[messageId];
+    container.querySelectorAll(`[data-message-id="${messageId}"]`).forEach(el => el.remove());
+    updatePinnedSection(container);
+
+    const parentId = replyParents[messageId];
+    if (parentId) {
+        delete replyParents[messageId];
+        threadReplies[parentId] = threadReplies[parentId].filter(reply => reply.id !== messageId);
+        if (loadedMessages[parentId]) {
+            replaceMessageElements(loadedMessages[parentId]);
+        }
+    }
+};
+
+/**
+ * Clear the messages container (e.g. when viewing a channel as a non-member)
+ * Stops any pending page fetch from rendering into it
+ */
+export const clearMessages = () => {
+    resetScrollState(null);
+    closePinnedMessagesModal();
+    closeThread();
+    document.getElementById('messages-container').textContent = '';
+};
+
+/**
+ * Reset infinite scroll state and invalidate in-flight page requests
+ * @param {number|null} channelId - Channel now shown in the messages container
+ */
+const resetScrollState = (channelId) => {
+    messagesChannelId = channelId;
+    messagesLoadId++;
+    nextMessageStart = 0;
+    hasMoreMessages = channelId !== null;
+    isLoadingOlderMessages = false;
+};
+
+/**
+ * Attach the infinite scroll listener to the messages container (once)
+ */
+const attachScrollListener = () => {
+    if (isScrollListenerAttached) {
+        return;
+    }
+    isScrollListenerAttached = true;
+
+    const container = document.getElementById('messages-container');
+    container.addEventListener('scroll', () => {
+        if (container.scrollTop <= SCROLL_LOAD_THRESHOLD) {
+            loadOlderMessages();
+        }
+    });
+};
+
+/**
+ * Keep loading older pages while the messages don't fill the container
+ * Without a scrollbar the user could never trigger a scroll event
+ */
+const fillMessagesViewport = () => {
+    const container = document.getElementById('messages-container');
+    if (container.scrollHeight <= container.clientHeight) {
+        loadOlderMessages();
+    }
+};
+
+/**
+ * Fetch the next page of older messages and prepend it to the container
+ * Implements 2.6.1 - Infinite scroll
+ * Keeps the scroll position anchored on the messages the user was reading
+ */
+const loadOlderMessages = () => {
+    // nextMessageStart is 0 until the newest page has loaded
+    if (isLoadingOlderMessages || !hasMoreMessages || messagesChannelId === null || nextMessageStart === 0) {
+        return;
+    }
+    isLoadingOlderMessages = true;
+
+    const channelId = messagesChannelId;
+    const loadId = messagesLoadId;
+    const container = document.getElementById('messages-container');
+
+    // Show loading indicator above the oldest message
+    const indicator = document.createElement('p');
+    indicator.className = 'messages-loading-indicator';
+    indicator.textContent = 'Loading older messages...';
+    container.insertBefore(indicator, getFirstTimelineMessage(container));
+
+    getMessages(channelId, nextMessageStart)
+        .then(data => {
+            // Ignore the response if the messages were reloaded meanwhile
+            if (loadId !== messagesLoadId) {
+                return;
+            }
+            indicator.remove();
+
+            // Empty page means we've reached the beginning of the channel
+            if (data.messages.length === 0) {
+                hasMoreMessages = false;
+                const historyStart = document.createElement('p');
+                historyStart.className = 'messages-history-start';
+                historyStart.textContent = 'This is the beginning of the channel';
+                container.insertBefore(historyStart, getFirstTimelineMessage(container));
+                tryPendingJump();
+                return;
+            }
+
+            nextMessageStart += data.messages.length;
+
+            // Anchor scroll position: offset by the height of the added content
+            const previousHeight = container.scrollHeight;
+            const previousTop = container.scrollTop;
+            prependMessages(data.messages, channelId);
+            container.scrollTop = previousTop + (container.scrollHeight - previousHeight);
+
+            isLoadingOlderMessages = false;
+            if (!tryPendingJump()) {
+                fillMessagesViewport();
+            }
+        })
+        .catch(error => {
+            indicator.remove();
+            console.error('Failed to load older messages:', error);
+        })
+        .then(() => {
+            // Allow retrying on the next scroll (also covers the early returns above)
+            if (loadId === messagesLoadId) {
+                isLoadingOlderMessages = false;
+            }
         });
 };
 
+/**
+ * Start editing the current user's newest message in the messages container
+ * (Up arrow in an empty message box)
+ * @return {boolean} True if an editor was opened
+ */
+export const editLastMessage = () => {
+    const userId = getUserId();
+    const container = document.getElementById('messages-container');
+    const messageEl = [...container.querySelectorAll('.message-container')].reverse().find(el => {
+        const msg = loadedMessages[el.dataset.messageId];
+        return msg && msg.sender === userId && !msg.pending;
+    });
+    if (!messageEl) {
+        return false;
+    }
+
+    messageEl.scrollIntoView({ block: 'nearest' });
+    handleEditMessage(loadedMessages[messageEl.dataset.messageId], messagesChannelId, messageEl);
+    return true;
+};
+
+/**
+ * Scroll to a message and highlight it, loading older pages until it appears
+ * The channel must be (or be about to be) shown in the messages container
+ * @param {number} channelId - Channel ID
+ * @param {number} messageId - Message ID
+ */
+export const jumpToMessage = (channelId, messageId) => {
+    pendingJump = { channelId, messageId };
+
+    // Channel already displayed - otherwise loadMessages picks the jump up
+    if (messagesChannelId === channelId) {
+        tryPendingJump();
+    }
+};
+
+/**
+ * Try to complete a pending jump in the current channel
+ * Loads the next older page when the message hasn't been rendered yet
+ * Jumping to a reply highlights its parent and opens the thread
+ * @return {boolean} True if a jump is still in progress (older pages are being loaded)
+ */
+const tryPendingJump = () => {
+    if (!pendingJump || pendingJump.channelId !== messagesChannelId) {
+        return false;
+    }
+
+    const container = document.getElementById('messages-container');
+    const { channelId, messageId } = pendingJump;
+    const parentId = replyParents[messageId];
+    const messageEl = container.querySelector(`[data-message-id="${parentId || messageId}"]`);
+
+    if (messageEl) {
+        pendingJump = null;
+        highlightMessage(messageEl);
+        if (parentId) {
+            openThread(channelId, parentId, messageId);
+        }
+        return false;
+    }
+
+    if (!hasMoreMessages) {
+        pendingJump = null;
+        showError('Message not found. It may have been deleted.');
+        return false;
+    }
+
+    loadOlderMessages();
+    return true;
+};
+
+/**
+ * Scroll a message into view and briefly highlight it
+ * @param {HTMLElement} messageEl - Message container element
+ */
+const highlightMessage = (messageEl) => {
+    messageEl.scrollIntoView({ block: 'center' });
+    messageEl.classList.add('message-highlight');
+    setTimeout(() => messageEl.classList.remove('message-highlight'), 3000);
+};
+
+/**
+ * Get the oldest message in the main timeline (outside the pinned section)
+ * @param {HTMLElement} container - Messages container
+ * @return {HTMLElement|null} First timeline message element, or null if none
+ */
+const getFirstTimelineMessage = (container) => {
+    return container.querySelector(':scope > .message-container');
+};
+
 /**
  * Render messages in the messages container
  * Pinned messages are displayed at the top, then regular messages in chronological order
@@ -48,8 +573,12 @@ export const loadMessages = (channelId) => {
 const renderMessages = (messages, channelId) => {
     const container = document.getElementById('messages-container');
     container.textContent = '';
+    loadedMessages = {};
+    threadReplies = {};
+    replyParents = {};
 
-    if (!messages || messages.length === 0) {
+    const pendingMessages = getPendingMessages(channelId);
+    if ((!messages || messages.length === 0) && pendingMessages.length === 0) {
         const emptyMsg = document.createElement('p');
         emptyMsg.textContent = 'No messages yet. Start the conversation!';
         emptyMsg.className = 'empty-message';
@@ -57,45 +586,112 @@ const renderMessages = (messages, channelId) => {
         return;
     }
 
+    prependMessages(messages || [], channelId);
+
+    // Messages still in the outbox go below the stored ones
+    pendingMessages.forEach(appendPendingMessage);
+
+    // Scroll to bottom to show newest messages (but pinned stay at top)
+    container.scrollTop = container.scrollHeight;
+};
+
+/**
+ * Insert a page of messages above the ones already displayed
+ * Pinned messages go into the pinned section, the rest into the timeline
+ * Replies are collected for the reply counts of their parents instead
+ * Messages already displayed are skipped: pages overlap once newer messages shift the offsets
+ * @param {Array} messages - Array of message objects (newest first, as returned by the backend)
+ * @param {number} channelId - Channel ID
+ */
+const prependMessages = (messages, channelId) => {
+    const container = document.getElementById('messages-container');
+
     // Backend returns messages newest first, we need oldest first (reverse)
-    const reversedMessages = [...messages].reverse();
+    const reversedMessages = messages.filter(msg => !loadedMessages[msg.id]).reverse();
     const currentUserId = getUserId();
 
-    // Separate pinned and regular messages
+    // Collect thread replies first: they are newer than their parent,
+    // so they arrive on the same page as the parent or an earlier one
+    reversedMessages.forEach(msg => {
+        loadedMessages[msg.id] = msg;
+        const reply = parseReply(msg.message);
+        if (reply) {
+            replyParents[msg.id] = reply.parentId;
+            threadReplies[reply.parentId] = (threadReplies[reply.parentId] || []).concat(msg);
+        }
+    });
+
+    // Separate pinned and regular messages (replies only appear in their thread)
     const pinnedMessages = reversedMessages.filter(msg => msg.pinned);
-    const regularMessages = reversedMessages.filter(msg => !msg.pinned);
+    const regularMessages = reversedMessages.filter(msg => !msg.pinned && !replyParents[msg.id]);
 
-    // Display pinned messages section if there are any
+    // Add pinned messages above the ones already in the pinned section
     if (pinnedMessages.length > 0) {
-        const pinnedSection = document.createElement('div');
-        pinnedSection.className = 'pinned-messages-section';
-
-        const pinnedHeader = document.createElement('div');
-        pinnedHeader.className = 'pinned-messages-header';
-        pinnedHeader.textContent = `📌 Pinned Messages (${pinnedMessages.length})`;
-        pinnedSection.appendChild(pinnedHeader);
+        const pinnedSection = getOrCreatePinnedSection(container);
+        const pinnedHeader = pinnedSection.querySelector('.pinned-messages-header');
+        const firstPinned = pinnedHeader.nextSibling;
 
         pinnedMessages.forEach(msg => {
             const messageEl = createMessageElement(msg, currentUserId, channelId, true);
-            pinnedSection.appendChild(messageEl);
+            pinnedSection.insertBefore(messageEl, firstPinned);
         });
 
-        container.appendChild(pinnedSection);
-
-        // Add separator between pinned and regular messages
-        const separator = document.createElement('div');
-        separator.className = 'pinned-messages-separator';
-        container.appendChild(separator);
+        updatePinnedSection(container);
     }
 
-    // Display regular messages
+    // Add regular messages above the oldest one in the timeline
+    const firstRegular = getFirstTimelineMessage(container);
     regularMessages.forEach(msg => {
         const messageEl = createMessageElement(msg, currentUserId, channelId, false);
-        container.appendChild(messageEl);
+        container.insertBefore(messageEl, firstRegular);
     });
+};
 
-    // Scroll to bottom to show newest messages (but pinned stay at top)
-    container.scrollTop = container.scrollHeight;
+/**
+ * Get the pinned messages section, creating it at the top of the container if needed
+ * @param {HTMLElement} container - Messages container
+ * @return {HTMLElement} Pinned messages section element
+ */
+const getOrCreatePinnedSection = (container) => {
+    const existing = container.querySelector('.pinned-messages-section');
+    if (existing) {
+        return existing;
+    }
+
+    const pinnedSection = document.createElement('div');
+    pinnedSection.className = 'pinned-messages-section';
+
+    const pinnedHeader = document.createElement('div');
+    pinnedHeader.className = 'pinned-messages-header';
+    pinnedSection.appendChild(pinnedHeader);
+
+    // Add separator between pinned and regular messages
+    const separator = document.createElement('div');
+    separator.className = 'pinned-messages-separator';
+
+    container.insertBefore(separator, container.firstChild);
+    container.insertBefore(pinnedSection, separator);
+
+    return pinnedSection;
+};
+
+/**
+ * Update the pinned section header, removing the section once it is empty
+ * @param {HTMLElement} container - Messages container
+ */
+const updatePinnedSection = (container) => {
+    const pinnedSection = container.querySelector('.pinned-messages-section');
+    if (!pinnedSection) {
+        return;
+    }
+
+    const pinnedCount = pinnedSection.querySelectorAll('.message-container').length;
+    if (pinnedCount === 0) {
+        container.querySelector('.pinned-messages-separator').remove();
+        pinnedSection.remove();
+        return;
+    }
+    pinnedSection.querySelector('.pinned-messages-header').textContent = `📌 Pinned Messages (${pinnedCount})`;
 };
 
 /**
@@ -107,7 +703,7 @@ const renderMessages = (messages, channelId) => {
  * @param {boolean} isPinnedSection - Whether this message is in the pinned section
  * @return {HTMLElement} Message container element
  */
-const createMessageElement = (msg, currentUserId, channelId, isPinnedSection = false) => {
+export const createMessageElement = (msg, currentUserId, channelId, isPinnedSection = false) => {
     const container = document.createElement('div');
     container.className = 'message-container';
     if (isPinnedSection) {
@@ -126,18 +722,6 @@ const createMessageElement = (msg, currentUserId, channelId, isPinnedSection = f
     // Default photo if not available
     photo.src = 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100"%3E%3Ccircle cx="50" cy="50" r="50" fill="%23ccc"/%3E%3Ctext x="50" y="50" text-anchor="middle" dy=".3em" fill="%23fff" font-size="40"%3EU%3C/text%3E%3C/svg%3E';
 
-    // Fetch user profile for photo and name
-    getUserProfile(msg.sender)
-        .then(user => {
-            if (user.image) {
-                photo.src = user.image;
-            }
-            senderName.textContent = user.name || `User #${msg.sender}`;
-        })
-        .catch(() => {
-            senderName.textContent = `User #${msg.sender}`;
-        });
-
     header.appendChild(photo);
 
     // Sender info container
@@ -162,6 +746,24 @@ const createMessageElement = (msg, currentUserId, channelId, isPinnedSection = f
     senderInfo.appendChild(timestamp);
     header.appendChild(senderInfo);
 
+    // Photo and name, right away if the profile is cached
+    const showSender = (user) => {
+        if (user.image) {
+            photo.src = user.image;
+        }
+        senderName.textContent = user.name || `User #${msg.sender}`;
+    };
+    const cachedSender = peekUser(msg.sender);
+    if (cachedSender) {
+        showSender(cachedSender);
+    } else {
+        getUser(msg.sender)
+            .then(showSender)
+            .catch(() => {
+                // Keep fallback ID if fetch fails
+            });
+    }
+
     // Edited indicator (Milestone 2.3.5)
     if (msg.edited) {
         const editedIndicator = document.createElement('span');
@@ -185,11 +787,12 @@ const createMessageElement = (msg, currentUserId, channelId, isPinnedSection = f
     const messageBody = document.createElement('div');
     messageBody.className = 'message-body';
 
-    // Message content
-    if (msg.message) {
-        const content = document.createElement('p');
+    // Message content, rendered as markdown-lite rich text (built with DOM nodes only)
+    const text = getMessageText(msg.message);
+    if (text) {
+        const content = document.createElement('div');
         content.className = 'message-content';
-        content.textContent = msg.message;
+        content.appendChild(renderFormattedText(text));
         messageBody.appendChild(content);
     }
 
@@ -202,26 +805,97 @@ const createMessageElement = (msg, currentUserId, channelId, isPinnedSection = f
         img.style.cursor = 'pointer';
         // Click to view enlarged image
         img.addEventListener('click', () => {
-            showImageViewer(msg.image, channelId);
+            showImageViewer(msg, channelId);
         });
         messageBody.appendChild(img);
     }
 
     container.appendChild(messageBody);
 
-    // Message actions (edit/delete/pin/react)
-    const actions = createMessageActions(msg, currentUserId, channelId);
-    container.appendChild(actions);
+    // Reply count linking to the thread
+    const replies = threadReplies[msg.id];
+    if (replies && replies.length > 0) {
+        container.appendChild(createThreadSummary(msg.id, replies, channelId));
+    }
+
+    // Message actions (edit/delete/pin/react/reply)
+    // Messages not stored by the backend yet have no ID to act on, they show their send state instead
+    if (msg.pending) {
+        container.classList.add('message-pending');
+        container.classList.toggle('message-failed', Boolean(msg.failed));
+        container.appendChild(createSendStatus(msg, channelId));
+    } else {
+        container.appendChild(createMessageActions(msg, currentUserId, channelId));
+    }
 
     // Reactions display (Milestone 2.3.6)
     if (msg.reacts && msg.reacts.length > 0) {
-        const reactionsEl = createReactionsDisplay(msg.reacts, msg.id, currentUserId, channelId);
+        const reactionsEl = createReactionsDisplay(msg, currentUserId, channelId);
         container.appendChild(reactionsEl);
     }
 
     return container;
 };
 
+/**
+ * Create the send state of a pending message: "Sending..." or "Failed to send" with retry/discard
+ * Failed messages say why when the reason is known (e.g. the offline error)
+ * @param {object} msg - Pending message
+ * @param {number} channelId - Channel ID
+ * @return {HTMLElement} Send status element
+ */
+const createSendStatus = (msg, channelId) => {
+    const status = document.createElement('div');
+    status.className = 'message-send-status';
+
+    if (!msg.failed) {
+        status.textContent = 'Sending...';
+        return status;
+    }
+
+    const reason = msg.error || (isOfflineMode() ? OFFLINE_ERROR : '');
+    const label = document.createElement('span');
+    label.className = 'message-send-error';
+    label.textContent = reason ? `Failed to send. ${reason}` : 'Failed to send';
+    status.appendChild(label);
+
+    const retryBtn = document.createElement('button');
+    retryBtn.className = 'message-retry-button';
+    retryBtn.textContent = 'Retry';
+    retryBtn.addEventListener('click', () => {
+        retryMessage(channelId, msg.id)
+            .catch(error => {
+                console.error('Failed to send message:', error);
+            });
+    });
+    status.appendChild(retryBtn);
+
+    const discardBtn = document.createElement('button');
+    discardBtn.className = 'message-discard-button';
+    discardBtn.textContent = 'Discard';
+    discardBtn.addEventListener('click', () => discardMessage(channelId, msg.id));
+    status.appendChild(discardBtn);
+
+    return status;
+};
+
+/**
+ * Create the reply count shown below a message that has a thread
+ * @param {number} messageId - Parent message ID
+ * @param {Array} replies - Loaded replies of the message
+ * @param {number} channelId - Channel ID
+ * @return {HTMLElement} Thread summary button
+ */
+const createThreadSummary = (messageId, replies, channelId) => {
+    const lastReplyAt = replies.reduce((latest, msg) => (msg.sentAt > latest ? msg.sentAt : latest), '');
+
+    const summary = document.createElement('button');
+    summary.className = 'message-thread-summary';
+    summary.textContent = `💬 ${replies.length} ${replies.length === 1 ? 'reply' : 'replies'} · Last reply ${formatTimestamp(lastReplyAt)}`;
+    summary.addEventListener('click', () => openThread(channelId, messageId));
+    return summary;
+};
+
 /**
  * Create message action buttons
  * @param {object} msg - Message object
@@ -240,7 +914,9 @@ const createMessageActions = (msg, currentUserId, channelId) => {
         const editBtn = document.createElement('button');
         editBtn.className = 'message-edit-button';
         editBtn.textContent = 'Edit';
-        editBtn.addEventListener('click', () => handleEditMessage(msg, channelId));
+        editBtn.addEventListener('click', () => {
+            handleEditMessage(msg, channelId, editBtn.closest('.message-container'));
+        });
         actions.appendChild(editBtn);
     }
 
@@ -257,34 +933,42 @@ const createMessageActions = (msg, currentUserId, channelId) => {
     const pinBtn = document.createElement('button');
     pinBtn.className = 'message-pin-button';
     pinBtn.textContent = msg.pinned ? 'Unpin' : 'Pin';
-    pinBtn.addEventListener('click', () => handlePinMessage(msg.id, msg.pinned, channelId));
+    pinBtn.addEventListener('click', () => handlePinMessage(msg, channelId));
     actions.appendChild(pinBtn);
 
     // React button (Milestone 2.3.6)
     const reactBtn = document.createElement('button');
     reactBtn.className = 'message-react-button';
     reactBtn.textContent = 'React';
-    reactBtn.addEventListener('click', () => showReactionsMenu(msg.id, channelId));
+    reactBtn.addEventListener('click', () => showReactionPicker(msg, channelId));
     actions.appendChild(reactBtn);
 
+    // Reply in thread button (replies open their parent's thread)
+    const reply = parseReply(msg.message);
+    const threadBtn = document.createElement('button');
+    threadBtn.className = 'message-thread-button';
+    threadBtn.textContent = 'Reply in thread';
+    threadBtn.addEventListener('click', () => openThread(channelId, reply ? reply.parentId : msg.id));
+    actions.appendChild(threadBtn);
+
     return actions;
 };
 
 /**
  * Create reactions display
- * @param {Array} reacts - Array of reaction objects
- * @param {number} messageId - Message ID
+ * Hovering a reaction (or long-pressing it) lists who reacted
+ * @param {object} msg - Message object
  * @param {number} currentUserId - Current user ID
  * @param {number} channelId - Channel ID
  * @return {HTMLElement} Reactions container
  */
-const createReactionsDisplay = (reacts, messageId, currentUserId, channelId) => {
+const createReactionsDisplay = (msg, currentUserId, channelId) => {
     const container = document.createElement('div');
     container.className = 'message-reactions';
 
     // Group reactions by emoji
     const grouped = {};
-    reacts.forEach(react => {
+    msg.reacts.forEach(react => {
         if (!grouped[react.react]) {
             grouped[react.react] = [];
         }
@@ -303,63 +987,119 @@ const createReactionsDisplay = (reacts, messageId, currentUserId, channelId) =>
         }
 
         // Click to toggle reaction
-        reactBtn.addEventListener('click', () => {
-            if (users.includes(currentUserId)) {
-                handleUnreact(messageId, emoji, channelId);
-            } else {
-                handleReact(messageId, emoji, channelId);
-            }
-        });
+        reactBtn.addEventListener('click', () => handleToggleReaction(msg, emoji, channelId));
 
+        attachReactionTooltip(reactBtn, emoji, users, currentUserId);
         container.appendChild(reactBtn);
     });
 
     return container;
 };
 
+/**
+ * Describe who reacted with an emoji, e.g. "You, Alice and Bob reacted with 👍"
+ * @param {string} emoji - Reaction
+ * @param {Array<number>} userIds - Users who reacted (in reaction order)
+ * @param {number} currentUserId - Current user ID (listed first, as "You")
+ * @param {object} users - userId -> profile (missing or null profiles are shown by ID)
+ * @return {string} Description
+ */
+const describeReaction = (emoji, userIds, currentUserId, users) => {
+    const others = userIds.filter(userId => userId !== currentUserId);
+    const names = (userIds.includes(currentUserId) ? ['You'] : []).concat(others.map(userId => {
+        const user = users[userId];
+        return (user && user.name) || `User #${userId}`;
+    }));
+
+    const shown = names.slice(0, MAX_REACTION_NAMES);
+    const hiddenCount = names.length - shown.length;
+    if (hiddenCount > 0) {
+        shown.push(`${hiddenCount} ${hiddenCount === 1 ? 'other' : 'others'}`);
+    }
+    const list = shown.length === 1
+        ? shown[0]
+        : `${shown.slice(0, -1).join(', ')} and ${shown[shown.length - 1]}`;
+    return `${list} reacted with ${emoji}`;
+};
+
+/**
+ * Show who reacted when a reaction is hovered, or long-pressed on touch screens
+ * Cached profiles are named right away, the others once fetched
+ * @param {HTMLElement} reactBtn - Reaction button
+ * @param {string} emoji - Reaction
+ * @param {Array<number>} userIds - Users who reacted
+ * @param {number} currentUserId - Current user ID
+ */
+const attachReactionTooltip = (reactBtn, emoji, userIds, currentUserId) => {
+    const tooltip = document.createElement('span');
+    tooltip.className = 'reaction-tooltip';
+    tooltip.setAttribute('role', 'tooltip');
+    reactBtn.appendChild(tooltip);
+
+    let pressTimer = null;
+    let isLongPress = false; // A long press shows the details instead of toggling the reaction
+
+    const showTooltip = () => {
+        const cached = {};
+        userIds.forEach(userId => {
+            cached[userId] = peekUser(userId);
+        });
+        tooltip.textContent = describeReaction(emoji, userIds, currentUserId, cached);
+        tooltip.classList.add('visible');
+
+        getUsers(userIds).then(users => {
+            tooltip.textContent = describeReaction(emoji, userIds, currentUserId, users);
+        });
+    };
+    const hideTooltip = () => {
+        tooltip.classList.remove('visible');
+    };
+
+    reactBtn.addEventListener('mouseenter', showTooltip);
+    reactBtn.addEventListener('mouseleave', hideTooltip);
+
+    reactBtn.addEventListener('touchstart', () => {
+        isLongPress = false;
+        pressTimer = setTimeout(() => {
+            isLongPress = true;
+            showTooltip();
+        }, LONG_PRESS_DELAY);
+    }, { passive: true });
+    reactBtn.addEventListener('touchmove', () => clearTimeout(pressTimer), { passive: true });
+    reactBtn.addEventListener('touchend', (e) => {
+        clearTimeout(pressTimer);
+        if (isLongPress) {
+            // Keep the reaction as it is and leave the details up for a moment
+            e.preventDefault();
+            setTimeout(hideTooltip, 2000);
+        }
+    });
+};
+
 /**
  * Handle sending a new message
  * Implements 2.3.3 - Sending messages
  * Implements 2.5.1 - Sending photos (text OR image, not both)
+ * The message shows as pending right away and stays in the outbox (with retry/discard) if sending fails
  */
 export const handleSendMessage = (channelId) => {
-    const messageInput = document.getElementById('message-input');
-    const imageInput = document.getElementById('message-image-input');
-    const previewContainer = document.getElementById('message-image-preview-container');
-    const messageText = messageInput.value.trim();
+    // The composer holds the text and the attached image (already a data URL)
+    const { text, image } = getComposerContent();
+    const messageText = text.trim();
 
     // Check if there's text or image (at least one required)
     const hasText = messageText.length > 0;
-    const hasImage = imageInput.files && imageInput.files[0];
 
-    if (!hasText && !hasImage) {
+    if (!hasText && !image) {
         showError('Message cannot be empty');
         return;
     }
 
-    // Prepare image data if exists
-    const imagePromise = hasImage
-        ? fileToDataUrl(imageInput.files[0])
-        : Promise.resolve(null);
-
-    // Send message with both text and image (if available)
-    imagePromise
-        .then(imageData => {
-            // Send message with text (or null) and image (or null)
-            return sendMessage(
-                channelId,
-                hasText ? messageText : null,
-                imageData
-            );
-        })
-        .then(() => {
-            // Clear inputs after successful send
-            messageInput.value = '';
-            imageInput.value = '';
-            previewContainer.style.display = 'none';
-            previewContainer.textContent = '';
-            loadMessages(channelId);
-        })
+    // Clear the composer (and the channel's draft) right away, the store shows the message as pending
+    setComposerContent('', null);
+
+    // Send message with text (or null) and image (or null)
+    sendChannelMessage(channelId, hasText ? encodeMessage(messageText) : null, image ? image.dataUrl : null)
         .catch(error => {
             console.error('Failed to send message:', error);
         });
@@ -370,13 +1110,19 @@ export const handleSendMessage = (channelId) => {
  * Implements 2.3.4 - Deleting messages
  */
 const handleDeleteMessage = (messageId, channelId) => {
-    if (!confirm('Are you sure you want to delete this message?')) {
+    // Replies stay in the channel, but their thread loses its parent
+    const replyCount = (threadReplies[messageId] || []).length;
+    const question = replyCount > 0
+        ? `This message has ${replyCount} ${replyCount === 1 ? 'reply' : 'replies'}. Delete it anyway?`
+        : 'Are you sure you want to delete this message?';
+    if (!confirm(question)) {
         return;
     }
 
     deleteMessage(channelId, messageId)
         .then(() => {
-            loadMessages(channelId);
+            removeMessage(channelId, messageId);
+            refreshPinnedMessages(channelId);
             showNotice('Message deleted');
         })
         .catch(error => {
@@ -385,51 +1131,202 @@ const handleDeleteMessage = (messageId, channelId) => {
 };
 
 /**
- * Handle editing a message
+ * Handle editing a message with an inline editor
  * Implements 2.3.5 - Editing messages
+ * Enter saves, Shift+Enter adds a new line, Escape cancels
+ * @param {object} msg - Message object
+ * @param {number} channelId - Channel ID
+ * @param {HTMLElement} messageEl - Message container element to edit in place
  */
-const handleEditMessage = (msg, channelId) => {
-    const newMessage = prompt('Edit message:', msg.message);
-
-    if (newMessage === null) {
-        return; // User cancelled
+const handleEditMessage = (msg, channelId, messageEl) => {
+    // Only one inline editor at a time
+    if (cancelActiveEdit) {
+        cancelActiveEdit();
     }
 
-    const trimmedMessage = newMessage.trim();
+    const messageBody = messageEl.querySelector('.message-body');
+    messageEl.classList.add('editing');
+    messageBody.style.display = 'none';
+
+    // Image edit state: 'keep' the current image, 'remove' it, or replace with a File
+    let imageChange = 'keep';
+
+    const form = document.createElement('div');
+    form.className = 'message-edit-form';
+
+    const textarea = document.createElement('textarea');
+    textarea.className = 'message-edit-input';
+    // Replies are edited without their reply header, which is re-added on save
+    const reply = parseReply(msg.message);
+    textarea.value = getMessageText(msg.message);
+    form.appendChild(textarea);
+
+    // Image controls: current/new image preview with replace and remove buttons
+    const imageRow = document.createElement('div');
+    imageRow.className = 'message-edit-image-row';
+
+    const preview = document.createElement('img');
+    preview.className = 'message-image-preview';
+    preview.alt = 'Message image';
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = 'image/png,image/jpeg,image/jpg';
+    fileInput.style.display = 'none';
+
+    const replaceBtn = document.createElement('button');
+    replaceBtn.type = 'button';
+    replaceBtn.className = 'btn-secondary';
+    replaceBtn.addEventListener('click', () => fileInput.click());
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'message-image-preview-remove';
+    removeBtn.textContent = '✕ Remove image';
+    removeBtn.addEventListener('click', () => {
+        imageChange = 'remove';
+        fileInput.value = '';
+        renderImageControls();
+    });
+
+    fileInput.addEventListener('change', () => {
+        if (!fileInput.files || !fileInput.files[0]) {
+            return;
+        }
+        imageChange = fileInput.files[0];
+        renderImageControls();
+    });
 
-    // Validate: cannot be empty
-    if (!trimmedMessage) {
-        showError('Message cannot be empty');
-        return;
-    }
+    // Show the image that would be saved and the matching buttons
+    const renderImageControls = () => {
+        if (imageChange instanceof File) {
+            fileToDataUrl(imageChange)
+                .then(dataUrl => {
+                    preview.src = dataUrl;
+                })
+                .catch(error => showError(error.message));
+        } else if (imageChange === 'keep' && msg.image) {
+            preview.src = msg.image;
+        }
+        const hasImage = imageChange instanceof File || (imageChange === 'keep' && !!msg.image);
+        preview.style.display = hasImage ? 'block' : 'none';
+        removeBtn.style.display = hasImage ? 'inline-block' : 'none';
+        replaceBtn.textContent = hasImage ? '📷 Replace image' : '📷 Add image';
+    };
+    renderImageControls();
+
+    imageRow.appendChild(preview);
+    imageRow.appendChild(replaceBtn);
+    imageRow.appendChild(removeBtn);
+    imageRow.appendChild(fileInput);
+    form.appendChild(imageRow);
+
+    // Save / cancel buttons and keyboard hint
+    const buttonRow = document.createElement('div');
+    buttonRow.className = 'message-edit-buttons';
+
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'button';
+    saveBtn.className = 'btn-primary';
+    saveBtn.textContent = 'Save';
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'btn-secondary';
+    cancelBtn.textContent = 'Cancel';
+
+    const hint = document.createElement('span');
+    hint.className = 'message-edit-hint';
+    hint.textContent = 'Enter to save · Shift+Enter for a new line · Esc to cancel';
+
+    buttonRow.appendChild(saveBtn);
+    buttonRow.appendChild(cancelBtn);
+    buttonRow.appendChild(hint);
+    form.appendChild(buttonRow);
+
+    messageBody.parentNode.insertBefore(form, messageBody);
+
+    // Restore the message as it was
+    const cancelEdit = () => {
+        form.remove();
+        messageBody.style.display = '';
+        messageEl.classList.remove('editing');
+        cancelActiveEdit = null;
+    };
 
-    // Validate: cannot be same as existing (2.3.5 requirement)
-    if (trimmedMessage === msg.message) {
-        showError('Message must be different from the existing message');
-        return;
-    }
+    const saveEdit = () => {
+        const trimmedText = textarea.value.trim();
+        const trimmedMessage = reply ? encodeReply(reply.parentId, trimmedText) : encodeMessage(trimmedText);
+        const hasImage = imageChange instanceof File || (imageChange === 'keep' && !!msg.image);
 
-    editMessage(channelId, msg.id, trimmedMessage)
-        .then(() => {
-            loadMessages(channelId);
-            showNotice('Message edited');
-        })
-        .catch(error => {
-            console.error('Failed to edit message:', error);
-        });
+        // Validate: cannot be empty
+        if (!trimmedText && !hasImage) {
+            showError('Message cannot be empty');
+            return;
+        }
+
+        // Validate: cannot be same as existing (2.3.5 requirement)
+        if (trimmedMessage === (msg.message || '') && imageChange === 'keep') {
+            showError('Message must be different from the existing message');
+            return;
+        }
+
+        // null keeps the current image, '' removes it, a data URL replaces it
+        let imagePromise = Promise.resolve(null);
+        if (imageChange === 'remove') {
+            imagePromise = Promise.resolve('');
+        } else if (imageChange instanceof File) {
+            imagePromise = fileToDataUrl(imageChange);
+        }
+
+        imagePromise
+            .then(imageData => {
+                return editMessage(channelId, msg.id, trimmedMessage, imageData)
+                    .then(() => {
+                        cancelEdit();
+                        updateMessage(channelId, {
+                            ...msg,
+                            message: trimmedMessage,
+                            image: imageData === null ? msg.image : (imageData || null),
+                            edited: true,
+                            editedAt: new Date().toISOString()
+                        });
+                        refreshPinnedMessages(channelId);
+                        showNotice('Message edited');
+                    });
+            })
+            .catch(error => {
+                console.error('Failed to edit message:', error);
+            });
+    };
+
+    saveBtn.addEventListener('click', saveEdit);
+    cancelBtn.addEventListener('click', cancelEdit);
+    textarea.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            saveEdit();
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            cancelEdit();
+        }
+    });
+
+    cancelActiveEdit = cancelEdit;
+    textarea.focus();
+    textarea.setSelectionRange(textarea.value.length, textarea.value.length);
 };
 
 /**
  * Handle pinning/unpinning a message
  * Implements 2.3.7 - Pinning messages
+ * The message moves right away and moves back if the backend rejects the change
  */
-const handlePinMessage = (messageId, isPinned, channelId) => {
-    const action = isPinned ? unpinMessage : pinMessage;
-
-    action(channelId, messageId)
+const handlePinMessage = (msg, channelId) => {
+    togglePin(channelId, msg)
         .then(() => {
-            loadMessages(channelId);
-            showNotice(isPinned ? 'Message unpinned' : 'Message pinned');
+            refreshPinnedMessages(channelId);
+            showNotice(msg.pinned ? 'Message unpinned' : 'Message pinned');
         })
         .catch(error => {
             console.error('Failed to pin/unpin message:', error);
@@ -437,102 +1334,64 @@ const handlePinMessage = (messageId, isPinned, channelId) => {
 };
 
 /**
- * Show reactions menu
+ * Show the emoji picker to react to a message
  * Implements 2.3.6 - Reacting to messages
+ * @param {object} msg - Message object
+ * @param {number} channelId - Channel ID
  */
-const showReactionsMenu = (messageId, channelId) => {
-    // Remove existing emoji picker if any
-    const existing = document.getElementById('emoji-picker-modal');
-    if (existing) {
-        existing.remove();
-    }
-
-    // Create modal
-    const modal = document.createElement('div');
-    modal.id = 'emoji-picker-modal';
-    modal.className = 'modal';
-    modal.style.display = 'flex';
-
-    const content = document.createElement('div');
-    content.className = 'modal-content';
-
-    const title = document.createElement('h2');
-    title.textContent = 'Choose a reaction:';
-    content.appendChild(title);
-
-    // Create emoji picker
-    const picker = document.createElement('div');
-    picker.className = 'emoji-picker';
-
-    REACTIONS.forEach(emoji => {
-        const btn = document.createElement('button');
-        btn.className = 'emoji-option';
-        btn.textContent = emoji;
-        btn.addEventListener('click', () => {
-            handleReact(messageId, emoji, channelId);
-            modal.remove();
-        });
-        picker.appendChild(btn);
-    });
-
-    content.appendChild(picker);
-
-    // Close button
-    const closeBtn = document.createElement('button');
-    closeBtn.textContent = 'Cancel';
-    closeBtn.className = 'btn-secondary';
-    closeBtn.addEventListener('click', () => modal.remove());
-    content.appendChild(closeBtn);
-
-    modal.appendChild(content);
-    document.body.appendChild(modal);
-
-    // Click outside to close
-    modal.addEventListener('click', (e) => {
-        if (e.target === modal) {
-            modal.remove();
+const showReactionPicker = (msg, channelId) => {
+    const userId = getUserId();
+    const ownReactions = msg.reacts.filter(react => react.user === userId).map(react => react.react);
+
+    showEmojiPicker('Choose a reaction:', (emoji) => {
+        // Picking a reaction the user already gave keeps it
+        if (!ownReactions.includes(emoji)) {
+            handleToggleReaction(msg, emoji, channelId);
         }
-    });
+    }, ownReactions);
 };
 
 /**
- * Handle adding a reaction
+ * Handle adding or removing the current user's reaction
+ * The reaction is shown right away and rolled back if the backend rejects it
+ * @param {object} msg - Message object
+ * @param {string} emoji - Reaction
+ * @param {number} channelId - Channel ID
  */
-const handleReact = (messageId, emoji, channelId) => {
-    reactMessage(channelId, messageId, emoji)
+const handleToggleReaction = (msg, emoji, channelId) => {
+    toggleReaction(channelId, msg, emoji)
         .then(() => {
-            loadMessages(channelId);
+            refreshPinnedMessages(channelId);
         })
         .catch(error => {
             console.error('Failed to react:', error);
         });
 };
 
-/**
- * Handle removing a reaction
- */
-const handleUnreact = (messageId, emoji, channelId) => {
-    unreactMessage(channelId, messageId, emoji)
-        .then(() => {
-            loadMessages(channelId);
-        })
-        .catch(error => {
-            console.error('Failed to unreact:', error);
-        });
-};
-
 /**
  * Show all pinned messages in a modal
  * Implements 2.3.7 - Viewing all pinned messages
+ * Walks the whole message history once, then serves pins from the cache
+ * Nothing is shown if the modal was closed or the channel changed while loading
  */
 export const showPinnedMessages = (channelId) => {
-    // Get all messages (not just first 25) by fetching multiple times if needed
-    // For now, we'll show pinned messages from the first 25
-    getMessages(channelId, 0)
-        .then(data => {
-            const pinnedMessages = data.messages.filter(msg => msg.pinned);
+    const cached = pinnedCache[channelId];
+
+    // Show a loading state while the history is being fetched
+    if (!cached) {
+        displayPinnedMessagesModal(null, channelId);
+    }
+    const loadId = pinnedLoadId;
 
+    const pinnedPromise = cached ? Promise.resolve(cached) : loadPinnedMessages(channelId);
+
+    pinnedPromise
+        .then(pinnedMessages => {
+            if (loadId !== pinnedLoadId) {
+                return;
+            }
             if (pinnedMessages.length === 0) {
+                closePinnedMessagesModal();
                 showNotice('No pinned messages in this channel');
                 return;
             }
@@ -541,32 +1400,94 @@ export const showPinnedMessages = (channelId) => {
             displayPinnedMessagesModal(pinnedMessages, channelId);
         })
         .catch(error => {
+            if (loadId === pinnedLoadId) {
+                closePinnedMessagesModal();
+            }
             console.error('Failed to load pinned messages:', error);
         });
 };
 
+/**
+ * Walk a channel's history for its pinned messages and cache them
+ * Repeated calls while walking share the same walk
+ * @param {number} channelId - Channel ID
+ * @return {Promise<Array>} Promise resolving to the pinned messages (newest first)
+ */
+const loadPinnedMessages = (channelId) => {
+    if (pinnedLoads[channelId]) {
+        return pinnedLoads[channelId];
+    }
+
+    const loadPromise = getAllMessages(channelId)
+        .then(messages => {
+            const pinnedMessages = messages.filter(msg => msg.pinned);
+            // Pins changed while walking: the walk that replaced this one fills the cache
+            if (pinnedLoads[channelId] === loadPromise) {
+                delete pinnedLoads[channelId];
+                pinnedCache[channelId] = pinnedMessages;
+            }
+            return pinnedMessages;
+        })
+        .catch(error => {
+            if (pinnedLoads[channelId] === loadPromise) {
+                delete pinnedLoads[channelId];
+            }
+            return Promise.reject(error);
+        });
+    pinnedLoads[channelId] = loadPromise;
+    return loadPromise;
+};
+
+/**
+ * Drop a channel's cached pins and refresh the pinned modal if it is open
+ * Called after pinning, unpinning or otherwise changing a message
+ * @param {number} channelId - Channel ID
+ */
+const refreshPinnedMessages = (channelId) => {
+    delete pinnedCache[channelId];
+    delete pinnedLoads[channelId];
+
+    const modal = document.getElementById('pinned-messages-modal');
+    if (modal && parseInt(modal.dataset.channelId) === channelId) {
+        showPinnedMessages(channelId);
+    }
+};
+
+/**
+ * Remove the pinned messages modal if it is open
+ * A load still in flight no longer shows it
+ */
+const closePinnedMessagesModal = () => {
+    pinnedLoadId++;
+    const modal = document.getElementById('pinned-messages-modal');
+    if (modal) {
+        closeModal(modal);
+        modal.remove();
+    }
+};
+
 /**
  * Display pinned messages in a modal
+ * Clicking a message closes the modal and jumps to it in the channel
+ * @param {Array|null} pinnedMessages - Pinned messages (newest first), or null while loading
+ * @param {number} channelId - Channel ID
  */
 const displayPinnedMessagesModal = (pinnedMessages, channelId) => {
     // Check if modal already exists, remove it
-    const existingModal = document.getElementById('pinned-messages-modal');
-    if (existingModal) {
-        existingModal.remove();
-    }
+    closePinnedMessagesModal();
 
     // Create modal
     const modal = document.createElement('div');
     modal.id = 'pinned-messages-modal';
     modal.className = 'modal';
-    modal.style.display = 'flex';
+    modal.dataset.channelId = channelId;
 
     const modalContent = document.createElement('div');
     modalContent.className = 'modal-content';
 
     // Modal header
     const header = document.createElement('h2');
-    header.textContent = `Pinned Messages (${pinnedMessages.length})`;
+    header.textContent = pinnedMessages ? `Pinned Messages (${pinnedMessages.length})` : 'Pinned Messages';
     modalContent.appendChild(header);
 
     // Messages container
@@ -577,9 +1498,28 @@ const displayPinnedMessagesModal = (pinnedMessages, channelId) => {
 
     const currentUserId = getUserId();
 
+    if (!pinnedMessages) {
+        const loading = document.createElement('p');
+        loading.className = 'messages-loading-indicator';
+        loading.textContent = 'Loading pinned messages...';
+        messagesContainer.appendChild(loading);
+    }
+
     // Render pinned messages (newest first)
-    pinnedMessages.forEach(msg => {
+    (pinnedMessages || []).forEach(msg => {
         const messageEl = createMessageElement(msg, currentUserId, channelId);
+        messageEl.classList.add('pinned-message-link');
+        messageEl.title = 'Jump to message';
+
+        // Jump to the message, unless a button/image/name inside was clicked
+        messageEl.addEventListener('click', (e) => {
+            if (e.target.closest('button, img, .message-user-name')) {
+                return;
+            }
+            closePinnedMessagesModal();
+            jumpToMessage(channelId, msg.id);
+        });
+
         messagesContainer.appendChild(messageEl);
     });
 
@@ -588,18 +1528,17 @@ const displayPinnedMessagesModal = (pinnedMessages, channelId) => {
     // Close button
     const closeBtn = document.createElement('button');
     closeBtn.textContent = 'Close';
-    closeBtn.addEventListener('click', () => {
-        modal.remove();
-    });
+    closeBtn.addEventListener('click', closePinnedMessagesModal);
     modalContent.appendChild(closeBtn);
 
     modal.appendChild(modalContent);
     document.body.appendChild(modal);
+    openModal(modal, { onClose: closePinnedMessagesModal });
 
     // Click outside to close
     modal.addEventListener('click', (e) => {
         if (e.target === modal) {
-            modal.remove();
+            closePinnedMessagesModal();
         }
     });
 };
@@ -607,92 +1546,270 @@ const displayPinnedMessagesModal = (pinnedMessages, channelId) => {
 /**
  * Show image viewer modal with navigation
  * Implements 2.5.2 - Viewing photos with navigation
- * @param {string} imageSrc - Image source URL to display
+ * Pages through the channel history until the clicked image is found,
+ * older images are loaded lazily while navigating backwards
+ * @param {object} msg - Message containing the clicked image
  * @param {number} channelId - Channel ID to fetch all images from
  */
-const showImageViewer = (imageSrc, channelId) => {
-    // Fetch all messages to get all images in channel
-    getMessages(channelId, 0)
+const showImageViewer = (msg, channelId) => {
+    initImageViewer();
+
+    // Reset gallery state for this channel
+    galleryChannelId = channelId;
+    galleryLoadId++;
+    galleryImages = [];
+    galleryNextStart = 0;
+    galleryHasMore = true;
+    galleryLoadPromise = null;
+    galleryLoadFailed = false;
+    currentImageIndex = -1;
+
+    // Show the clicked image straight away, navigation follows once it is located
+    viewerMessage = msg;
+    locateViewerImage();
+    openModal(document.getElementById('image-viewer-modal'), {
+        onClose: closeImageViewer,
+        label: 'Image viewer',
+        initialFocus: document.getElementById('image-viewer-close')
+    });
+};
+
+/**
+ * Page through the history until the viewer's image is found, to enable navigation
+ * Continues from the pages loaded so far, so Retry picks up where a failure stopped
+ */
+const locateViewerImage = () => {
+    const msg = viewerMessage;
+    const loadId = galleryLoadId;
+    galleryLocateFailed = false;
+    renderImageViewer();
+
+    const locateImage = () => {
+        return loadGalleryPage().then(() => {
+            if (loadId !== galleryLoadId) {
+                return;
+            }
+            const index = galleryImages.findIndex(img => img.id === msg.id);
+            if (index === -1 && galleryHasMore) {
+                return locateImage();
+            }
+            if (index === -1) {
+                // Not in the history (e.g. deleted meanwhile) - show it on its own
+                galleryImages.push(msg);
+            }
+            currentImageIndex = index === -1 ? galleryImages.length - 1 : index;
+            renderImageViewer();
+        });
+    };
+
+    locateImage().catch(error => {
+        console.error('Failed to load images:', error);
+        // The image itself stays shown, only navigation is unavailable
+        if (loadId === galleryLoadId) {
+            galleryLocateFailed = true;
+            renderImageViewer();
+        }
+    });
+};
+
+/**
+ * Fetch the next (older) page of messages and prepend its images to the gallery
+ * @return {Promise<number>} Promise resolving to the number of images added
+ */
+const loadGalleryPage = () => {
+    const loadId = galleryLoadId;
+
+    return getMessages(galleryChannelId, galleryNextStart)
         .then(data => {
-            // Extract all images from messages
-            channelImages = data.messages
-                .filter(msg => msg.image)
-                .map(msg => msg.image)
-                .reverse(); // Oldest first
-
-            // Find current image index
-            currentImageIndex = channelImages.findIndex(img => img === imageSrc);
-            if (currentImageIndex === -1) currentImageIndex = 0;
-
-            // Show the modal
-            displayImageViewer();
-        })
+            if (loadId !== galleryLoadId) {
+                return 0;
+            }
+            if (data.messages.length === 0) {
+                galleryHasMore = false;
+                return 0;
+            }
+            galleryNextStart += data.messages.length;
+
+            // Backend returns newest first, gallery is oldest first
+            const images = data.messages.filter(m => m.image).reverse();
+            galleryImages = images.concat(galleryImages);
+            if (currentImageIndex >= 0) {
+                currentImageIndex += images.length;
+            }
+            return images.length;
+        });
+};
+
+/**
+ * Load older pages until at least one more image is found or the history ends
+ * Concurrent callers share the same in-flight request
+ * @return {Promise} Promise resolving once loading has finished
+ */
+const loadOlderImages = () => {
+    if (galleryLoadPromise) {
+        return galleryLoadPromise;
+    }
+    if (!galleryHasMore) {
+        return Promise.resolve();
+    }
+
+    // Stop paging once the viewer is closed or shows another gallery
+    const loadId = galleryLoadId;
+    const loadUntilImage = () => {
+        return loadGalleryPage().then(added => {
+            if (loadId === galleryLoadId && added === 0 && galleryHasMore) {
+                return loadUntilImage();
+            }
+            return undefined;
+        });
+    };
+
+    galleryLoadFailed = false;
+    galleryLoadPromise = loadUntilImage()
         .catch(error => {
-            console.error('Failed to load images:', error);
+            console.error('Failed to load older images:', error);
+            if (loadId === galleryLoadId) {
+                galleryLoadFailed = true;
+            }
+        })
+        .then(() => {
+            if (loadId !== galleryLoadId) {
+                return;
+            }
+            galleryLoadPromise = null;
+            renderImageViewer();
         });
+
+    return galleryLoadPromise;
 };
 
 /**
- * Display the image viewer modal
+ * Set up image viewer listeners (once)
+ * Buttons, click outside, and arrow keys to navigate (Escape is handled by the modal manager)
  */
-const displayImageViewer = () => {
-    const modal = document.getElementById('image-viewer-modal');
-    const image = document.getElementById('image-viewer-image');
-    const prevBtn = document.getElementById('image-viewer-prev');
-    const nextBtn = document.getElementById('image-viewer-next');
-    const closeBtn = document.getElementById('image-viewer-close');
-    const info = document.getElementById('image-viewer-info');
+const initImageViewer = () => {
+    if (isImageViewerInitialized) {
+        return;
+    }
+    isImageViewerInitialized = true;
 
-    // Set current image
-    image.src = channelImages[currentImageIndex];
+    const modal = document.getElementById('image-viewer-modal');
 
-    // Update navigation buttons visibility
-    prevBtn.style.display = currentImageIndex > 0 ? 'block' : 'none';
-    nextBtn.style.display = currentImageIndex < channelImages.length - 1 ? 'block' : 'none';
+    document.getElementById('image-viewer-prev').addEventListener('click', showPreviousImage);
+    document.getElementById('image-viewer-next').addEventListener('click', showNextImage);
+    document.getElementById('image-viewer-close').addEventListener('click', closeImageViewer);
+    document.getElementById('image-viewer-retry').addEventListener('click', locateViewerImage);
 
-    // Update info text
-    info.textContent = `Image ${currentImageIndex + 1} of ${channelImages.length}`;
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeImageViewer();
+        }
+    });
 
-    // Show modal
-    modal.style.display = 'flex';
+    document.addEventListener('keydown', (e) => {
+        if (!isTopModal(modal)) {
+            return;
+        }
+        if (e.key === 'ArrowLeft') {
+            showPreviousImage();
+        } else if (e.key === 'ArrowRight') {
+            showNextImage();
+        }
+    });
+};
 
-    // Navigation handlers
-    const prevHandler = () => {
+/**
+ * Show the previous (older) image, loading older pages if needed
+ */
+const showPreviousImage = () => {
+    if (currentImageIndex < 0) {
+        return; // Clicked image not located yet
+    }
+    if (currentImageIndex > 0) {
+        currentImageIndex--;
+        renderImageViewer();
+        return;
+    }
+    loadOlderImages().then(() => {
         if (currentImageIndex > 0) {
             currentImageIndex--;
-            displayImageViewer();
+            renderImageViewer();
         }
-    };
+    });
+};
 
-    const nextHandler = () => {
-        if (currentImageIndex < channelImages.length - 1) {
-            currentImageIndex++;
-            displayImageViewer();
-        }
-    };
+/**
+ * Show the next (newer) image
+ */
+const showNextImage = () => {
+    if (currentImageIndex >= 0 && currentImageIndex < galleryImages.length - 1) {
+        currentImageIndex++;
+        renderImageViewer();
+    }
+};
 
-    const closeHandler = () => {
-        modal.style.display = 'none';
-        prevBtn.removeEventListener('click', prevHandler);
-        nextBtn.removeEventListener('click', nextHandler);
-        closeBtn.removeEventListener('click', closeHandler);
-        modal.removeEventListener('click', outsideClickHandler);
-    };
+/**
+ * Close the image viewer and stop any pending gallery loading
+ */
+const closeImageViewer = () => {
+    closeModal(document.getElementById('image-viewer-modal'));
+    galleryLoadId++;
+};
 
-    const outsideClickHandler = (e) => {
-        if (e.target === modal) {
-            closeHandler();
-        }
-    };
+/**
+ * Render the current image with its sender, timestamp and navigation state
+ */
+const renderImageViewer = () => {
+    if (currentImageIndex >= 0) {
+        viewerMessage = galleryImages[currentImageIndex];
+    }
+    const msg = viewerMessage;
 
-    // Remove old listeners and add new ones
-    prevBtn.removeEventListener('click', prevHandler);
-    nextBtn.removeEventListener('click', nextHandler);
-    closeBtn.removeEventListener('click', closeHandler);
-    modal.removeEventListener('click', outsideClickHandler);
+    const image = document.getElementById('image-viewer-image');
+    const prevBtn = document.getElementById('image-viewer-prev');
+    const nextBtn = document.getElementById('image-viewer-next');
+    const position = document.getElementById('image-viewer-position');
+    const retryBtn = document.getElementById('image-viewer-retry');
+    const sender = document.getElementById('image-viewer-sender');
+    const downloadLink = document.getElementById('image-viewer-download');
+
+    // Set current image
+    image.src = msg.image;
+
+    // Download the data URL with an extension matching its type
+    const extension = msg.image.startsWith('data:image/png') ? 'png' : 'jpg';
+    downloadLink.href = msg.image;
+    downloadLink.download = `slackr-image-${msg.id}.${extension}`;
 
-    prevBtn.addEventListener('click', prevHandler);
-    nextBtn.addEventListener('click', nextHandler);
-    closeBtn.addEventListener('click', closeHandler);
-    modal.addEventListener('click', outsideClickHandler);
+    // Sender and timestamp
+    sender.textContent = `User #${msg.sender} · ${formatTimestamp(msg.sentAt)}`;
+    getUser(msg.sender)
+        .then(user => {
+            // Ignore if the viewer moved on to another image meanwhile
+            if (viewerMessage === msg && user.name) {
+                sender.textContent = `${user.name} · ${formatTimestamp(msg.sentAt)}`;
+            }
+        })
+        .catch(() => {
+            // Keep fallback ID if fetch fails
+        });
+
+    // Update navigation buttons visibility (older pages may still hold images)
+    const isLocated = currentImageIndex >= 0;
+    prevBtn.style.display = isLocated && (currentImageIndex > 0 || galleryHasMore) ? 'block' : 'none';
+    nextBtn.style.display = isLocated && currentImageIndex < galleryImages.length - 1 ? 'block' : 'none';
+
+    // Update info text, counted from the newest image so it stays stable while older pages load
+    retryBtn.style.display = !isLocated && galleryLocateFailed ? 'inline-block' : 'none';
+    if (!isLocated) {
+        position.textContent = galleryLocateFailed ? 'Failed to load the other images.' : 'Loading images...';
+    } else {
+        const total = `${galleryImages.length}${galleryHasMore ? '+' : ''}`;
+        position.textContent = `Image ${galleryImages.length - currentImageIndex} of ${total} (newest first)`;
+    }
+
+    // Prefetch older images when reaching the oldest loaded one (after a failure, only navigating back retries)
+    if (isLocated && currentImageIndex === 0 && galleryHasMore && !galleryLoadPromise && !galleryLoadFailed) {
+        loadOlderImages();
+    }
 };
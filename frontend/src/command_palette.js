@@ -0,0 +1,244 @@
+/**
+ * Command palette for Slackr (Ctrl+K)
+ * Fuzzy-finds channels to jump to and commands to run from the keyboard
+ */
+
+import { getChannelList } from './store.js';
+import { getUserId } from './helpers.js';
+import { selectChannel } from './channel.js';
+import { getChannelDisplayName, getDirectMessagePartner } from './direct_messages.js';
+import { openModal, closeModal } from './modal.js';
+
+const MAX_RESULTS = 20; // Limit rendered results to keep the palette short
+
+let commands = []; // [{ label, hint, run }] offered next to the channels
+let channelItems = []; // Channel results, loaded when the palette opens
+let results = []; // Items currently listed
+let selectedIndex = 0; // Highlighted result
+let paletteLoadId = 0; // Incremented on open/close to discard stale channel lists
+let isInitialized = false; // Flag to prevent duplicate event listener registration
+
+/**
+ * Set up palette event listeners (once)
+ */
+const initCommandPalette = () => {
+    if (isInitialized) {
+        return;
+    }
+    isInitialized = true;
+
+    const palette = document.getElementById('command-palette');
+    const input = document.getElementById('command-palette-input');
+    input.addEventListener('input', () => {
+        selectedIndex = 0;
+        renderResults();
+    });
+    input.addEventListener('keydown', handlePaletteKeys);
+    palette.addEventListener('click', (e) => {
+        if (e.target === palette) {
+            closeCommandPalette();
+        }
+    });
+};
+
+/**
+ * Check whether the command palette is shown
+ * @return {boolean} True if open
+ */
+export const isCommandPaletteOpen = () => document.getElementById('command-palette').style.display === 'flex';
+
+/**
+ * Open the command palette
+ * @param {Array} paletteCommands - Commands to offer: [{ label, hint, run }]
+ */
+export const openCommandPalette = (paletteCommands) => {
+    initCommandPalette();
+    commands = paletteCommands;
+    channelItems = [];
+    selectedIndex = 0;
+
+    const input = document.getElementById('command-palette-input');
+    input.value = '';
+    openModal(document.getElementById('command-palette'), {
+        onClose: closeCommandPalette,
+        label: 'Command palette',
+        initialFocus: input
+    });
+    renderResults();
+
+    const loadId = ++paletteLoadId;
+    loadChannelItems()
+        .then(items => {
+            if (loadId !== paletteLoadId) {
+                return;
+            }
+            channelItems = items;
+            renderResults();
+        })
+        .catch(error => {
+            console.error('Failed to load channels:', error);
+        });
+};
+
+/**
+ * Close the command palette
+ */
+export const closeCommandPalette = () => {
+    paletteLoadId++;
+    closeModal(document.getElementById('command-palette'));
+    document.getElementById('command-palette-results').textContent = '';
+};
+
+/**
+ * Build the channel results: joined channels first, then public channels to join
+ * Direct messages are listed under the other user's name
+ * @return {Promise<Array>} Promise resolving to [{ label, hint, run }]
+ */
+const loadChannelItems = () => {
+    const userId = getUserId();
+
+    return getChannelList()
+        .then(channels => {
+            const visible = channels.filter(ch => !ch.private || ch.members.includes(userId));
+            const joined = visible.filter(ch => ch.members.includes(userId));
+            const others = visible.filter(ch => !ch.members.includes(userId));
+
+            return Promise.all(joined.concat(others).map(channel => {
+                return getChannelDisplayName(channel)
+                    .then(name => {
+                        const isDirectMessage = getDirectMessagePartner(channel, userId) !== null;
+                        let label = name;
+                        if (isDirectMessage) {
+                            label = `💬 ${name}`;
+                        } else if (channel.private) {
+                            label = `🔒 ${channel.name}`;
+                        }
+                        return {
+                            label,
+                            hint: channel.members.includes(userId) ? '' : 'Not joined',
+                            run: () => selectChannel(channel.id)
+                        };
+                    });
+            }));
+        });
+};
+
+/**
+ * Score how well a query matches a label, all query characters must appear in order
+ * Consecutive characters and characters at the start of a word score higher
+ * @param {string} query - Search text (lower case, without spaces)
+ * @param {string} label - Text to match
+ * @return {number|null} Score (higher is better), null if the label does not match
+ */
+const fuzzyScore = (query, label) => {
+    const text = label.toLowerCase();
+    let score = 0;
+    let position = 0;
+    let previousIndex = -2;
+
+    for (const char of query) {
+        const index = text.indexOf(char, position);
+        if (index === -1) {
+            return null;
+        }
+        score += index === previousIndex + 1 ? 3 : 1;
+        if (index === 0 || /[\s#\-_:]/.test(text[index - 1])) {
+            score += 2;
+        }
+        previousIndex = index;
+        position = index + 1;
+    }
+
+    // Shorter labels win ties
+    return score - text.length / 100;
+};
+
+/**
+ * Render the channels and commands matching the query, best matches first
+ * Without a query, channels are listed in order followed by the commands
+ */
+const renderResults = () => {
+    const list = document.getElementById('command-palette-results');
+    const query = document.getElementById('command-palette-input').value.replace(/\s+/g, '').toLowerCase();
+    const items = channelItems.concat(commands);
+
+    if (query) {
+        results = items
+            .map(item => ({ item, score: fuzzyScore(query, item.label) }))
+            .filter(({ score }) => score !== null)
+            .sort((a, b) => b.score - a.score)
+            .map(({ item }) => item);
+    } else {
+        results = items;
+    }
+    results = results.slice(0, MAX_RESULTS);
+    selectedIndex = Math.min(selectedIndex, Math.max(results.length - 1, 0));
+
+    list.textContent = '';
+    if (results.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'empty-message';
+        empty.textContent = 'No matching channels or commands.';
+        list.appendChild(empty);
+        return;
+    }
+
+    results.forEach((item, index) => {
+        const row = document.createElement('div');
+        row.className = 'command-palette-item';
+        if (index === selectedIndex) {
+            row.classList.add('selected');
+        }
+
+        const label = document.createElement('span');
+        label.className = 'command-palette-label';
+        label.textContent = item.label;
+        row.appendChild(label);
+
+        if (item.hint) {
+            const hint = document.createElement('span');
+            hint.className = 'command-palette-hint';
+            hint.textContent = item.hint;
+            row.appendChild(hint);
+        }
+
+        row.addEventListener('click', () => runResult(index));
+        list.appendChild(row);
+    });
+
+    const selected = list.querySelector('.command-palette-item.selected');
+    if (selected) {
+        selected.scrollIntoView({ block: 'nearest' });
+    }
+};
+
+/**
+ * Close the palette and run a result
+ * @param {number} index - Index in the listed results
+ */
+const runResult = (index) => {
+    const item = results[index];
+    if (!item) {
+        return;
+    }
+    closeCommandPalette();
+    item.run();
+};
+
+/**
+ * Arrow keys move the selection and Enter runs it (Escape is handled by the modal manager)
+ * @param {KeyboardEvent} e - Keydown event of the palette input
+ */
+const handlePaletteKeys = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        if (results.length > 0) {
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            selectedIndex = (selectedIndex + step + results.length) % results.length;
+            renderResults();
+        }
+    } else if (e.key === 'Enter') {
+        e.preventDefault();
+        runResult(selectedIndex);
+    }
+};
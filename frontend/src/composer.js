@@ -0,0 +1,236 @@
+/**
+ * Message composer formatting toolbar for Slackr
+ * Inserts markdown-lite syntax around the selection in #message-input
+ * and toggles a formatted preview of the message
+ * Also holds the image attached to the message being composed
+ */
+
+import { renderFormattedText } from './formatter.js';
+
+let isInitialized = false; // Flag to prevent duplicate event listener registration
+let attachedImage = null; // { name, dataUrl } of the image to send with the next message
+const changeCallbacks = []; // Called when the text or the attached image changes
+
+/**
+ * Set up the formatting toolbar and preview toggle (once)
+ */
+export const initComposerToolbar = () => {
+    if (isInitialized) {
+        return;
+    }
+    isInitialized = true;
+
+    const toolbar = document.getElementById('message-format-toolbar');
+    toolbar.querySelectorAll('[data-format]').forEach(button => {
+        button.addEventListener('click', () => applyFormat(button.dataset.format));
+    });
+
+    document.getElementById('message-input').addEventListener('input', notifyChange);
+
+    document.getElementById('message-preview-toggle').addEventListener('click', () => {
+        const preview = document.getElementById('message-preview');
+        if (preview.style.display === 'none') {
+            showMessagePreview();
+        } else {
+            hideMessagePreview();
+        }
+    });
+};
+
+/**
+ * Apply a toolbar format to the current selection of #message-input
+ * @param {string} format - bold, italic, code, codeblock, quote, bullet or numbered
+ */
+const applyFormat = (format) => {
+    const input = document.getElementById('message-input');
+
+    switch (format) {
+    case 'bold':
+        wrapSelection(input, '**', '**', 'bold text');
+        break;
+    case 'italic':
+        wrapSelection(input, '_', '_', 'italic text');
+        break;
+    case 'code':
+        wrapSelection(input, '`', '`', 'code');
+        break;
+    case 'codeblock':
+        wrapSelection(input, '```\n', '\n```', 'code');
+        break;
+    case 'quote':
+        prefixLines(input, () => '> ');
+        break;
+    case 'bullet':
+        prefixLines(input, () => '- ');
+        break;
+    case 'numbered':
+        prefixLines(input, (index) => `${index + 1}. `);
+        break;
+    default:
+        return;
+    }
+
+    // Keep the preview in sync if it is open
+    if (document.getElementById('message-preview').style.display !== 'none') {
+        showMessagePreview();
+    }
+    notifyChange();
+};
+
+/**
+ * Register a callback to run when the composed text or attached image changes
+ * Programmatic changes go through setComposerContent/setAttachedImage, which also notify
+ * @param {Function} callback - Callback function
+ */
+export const onComposerChange = (callback) => {
+    changeCallbacks.push(callback);
+};
+
+/**
+ * Run the change callbacks
+ */
+const notifyChange = () => {
+    changeCallbacks.forEach(callback => callback());
+};
+
+/**
+ * Get what is currently being composed
+ * @return {object} { text, image } with image as { name, dataUrl } or null
+ */
+export const getComposerContent = () => ({
+    text: document.getElementById('message-input').value,
+    image: attachedImage
+});
+
+/**
+ * Replace what is being composed (e.g. with a channel's draft)
+ * @param {string} text - Message text
+ * @param {object|null} image - { name, dataUrl } of the attached image, or null
+ */
+export const setComposerContent = (text, image) => {
+    document.getElementById('message-input').value = text;
+    hideMessagePreview();
+    setAttachedImage(image);
+};
+
+/**
+ * Attach an image to the message being composed (null removes it) and show its preview
+ * @param {object|null} image - { name, dataUrl } of the image, or null
+ */
+export const setAttachedImage = (image) => {
+    attachedImage = image;
+    renderImagePreview();
+    notifyChange();
+};
+
+/**
+ * Show the attached image as a thumbnail in the message input area
+ */
+const renderImagePreview = () => {
+    const previewContainer = document.getElementById('message-image-preview-container');
+
+    // Clear existing preview
+    previewContainer.textContent = '';
+
+    if (!attachedImage) {
+        previewContainer.style.display = 'none';
+        return;
+    }
+
+    // Create preview image
+    const img = document.createElement('img');
+    img.src = attachedImage.dataUrl;
+    img.className = 'message-image-preview';
+    img.alt = 'Image preview';
+
+    // Create filename label
+    const label = document.createElement('span');
+    label.textContent = attachedImage.name;
+    label.style.flex = '1';
+    label.style.fontSize = 'var(--font-size-sm)';
+
+    // Create remove button
+    const removeBtn = document.createElement('button');
+    removeBtn.textContent = '✕ Remove';
+    removeBtn.className = 'message-image-preview-remove';
+    removeBtn.addEventListener('click', () => setAttachedImage(null));
+
+    // Assemble preview
+    previewContainer.appendChild(img);
+    previewContainer.appendChild(label);
+    previewContainer.appendChild(removeBtn);
+    previewContainer.style.display = 'flex';
+};
+
+/**
+ * Wrap the selected text (or a placeholder) with markers and select the inner text
+ * @param {HTMLTextAreaElement} input - Message input
+ * @param {string} before - Text inserted before the selection
+ * @param {string} after - Text inserted after the selection
+ * @param {string} placeholder - Text used when nothing is selected
+ */
+const wrapSelection = (input, before, after, placeholder) => {
+    const { selectionStart, selectionEnd, value } = input;
+    const selected = value.slice(selectionStart, selectionEnd) || placeholder;
+
+    input.value = value.slice(0, selectionStart) + before + selected + after + value.slice(selectionEnd);
+    input.focus();
+    input.setSelectionRange(selectionStart + before.length, selectionStart + before.length + selected.length);
+};
+
+/**
+ * Prefix every line touched by the selection (quotes, lists)
+ * @param {HTMLTextAreaElement} input - Message input
+ * @param {Function} getPrefix - Returns the prefix for the n-th selected line
+ */
+const prefixLines = (input, getPrefix) => {
+    const { selectionStart, selectionEnd, value } = input;
+    const lineStart = value.lastIndexOf('\n', selectionStart - 1) + 1;
+    const nextBreak = value.indexOf('\n', selectionEnd);
+    const lineEnd = nextBreak === -1 ? value.length : nextBreak;
+
+    const lines = value.slice(lineStart, lineEnd).split('\n');
+    const prefixed = lines.map((line, index) => getPrefix(index) + line).join('\n');
+
+    input.value = value.slice(0, lineStart) + prefixed + value.slice(lineEnd);
+    input.focus();
+    input.setSelectionRange(lineStart, lineStart + prefixed.length);
+};
+
+/**
+ * Show the formatted preview in place of the message input
+ */
+const showMessagePreview = () => {
+    const input = document.getElementById('message-input');
+    const preview = document.getElementById('message-preview');
+    const toggle = document.getElementById('message-preview-toggle');
+
+    preview.textContent = '';
+    if (input.value.trim()) {
+        preview.appendChild(renderFormattedText(input.value));
+    } else {
+        const empty = document.createElement('p');
+        empty.className = 'empty-message';
+        empty.textContent = 'Nothing to preview';
+        preview.appendChild(empty);
+    }
+
+    preview.style.display = 'block';
+    input.style.display = 'none';
+    toggle.textContent = '✏️ Edit';
+};
+
+/**
+ * Hide the preview and return to the message input
+ * Also called after a message has been sent
+ */
+export const hideMessagePreview = () => {
+    const input = document.getElementById('message-input');
+    const preview = document.getElementById('message-preview');
+    const toggle = document.getElementById('message-preview-toggle');
+
+    preview.style.display = 'none';
+    preview.textContent = '';
+    input.style.display = '';
+    toggle.textContent = '👁 Preview';
+};
@@ -5,3 +5,19 @@
 
 export const BACKEND_PORT = 5005;
 export const BACKEND_URL = `http://localhost:${BACKEND_PORT}`;
+
+// Push notification polling (Milestone 2.6.2)
+export const NOTIFICATION_POLL_INTERVAL = 1000; // Milliseconds between polls
+export const NOTIFICATION_MAX_BACKOFF = 30000; // Upper bound for the delay after network failures
+
+// User directory (profile cache)
+export const USER_CACHE_TTL = 5 * 60 * 1000; // Milliseconds before a cached profile is fetched again
+
+// Channel member list
+export const MEMBER_ACTIVE_WINDOW = 15 * 60 * 1000; // Milliseconds after a message a member shows as active
+export const MEMBER_ACTIVITY_MAX_PAGES = 4; // Pages of history searched for the members' last messages
+
+// Multi-tab synchronization: only the leader tab polls
+export const TAB_LEADER_LEASE = 5000; // Milliseconds a leader stays in charge without renewing
+export const TAB_HEARTBEAT_INTERVAL = 2000; // Milliseconds between lease renewals/elections
+export const OUTBOX_CLAIM_LEASE = 60 * 1000; // Milliseconds a tab's claim on a message it is sending lasts
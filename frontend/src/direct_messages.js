@@ -0,0 +1,110 @@
+/**
+ * Direct messages for Slackr
+ * The backend has no 1:1 conversations, so a direct message is a private
+ * channel with both users as members and a reserved name: "dm:<lowId>-<highId>"
+ */
+
+import { createChannel, inviteUserToChannel } from './api.js';
+import { getChannelList } from './store.js';
+import { getUser } from './user_directory.js';
+import { getUserId } from './helpers.js';
+import { selectChannel, loadChannels } from './channel.js';
+
+const DM_NAME_PATTERN = /^dm:(\d+)-(\d+)$/;
+const DM_PREFIX = 'dm:';
+
+/**
+ * Get the reserved channel name for a direct message between two users
+ * The IDs are sorted so both users derive the same name
+ * @param {number} userId - One user
+ * @param {number} otherUserId - The other user
+ * @return {string} Channel name
+ */
+export const getDirectMessageName = (userId, otherUserId) => {
+    const [low, high] = [userId, otherUserId].sort((a, b) => a - b);
+    return `${DM_PREFIX}${low}-${high}`;
+};
+
+/**
+ * Check whether a channel name uses the reserved direct message prefix
+ * @param {string} name - Channel name
+ * @return {boolean} True if the name is reserved for direct messages
+ */
+export const isReservedChannelName = (name) => name.trim().toLowerCase().startsWith(DM_PREFIX);
+
+/**
+ * Get the other participant of a direct message channel
+ * @param {object} channel - Channel object (needs name, private and members)
+ * @param {number} userId - Current user ID
+ * @return {number|null} The other user's ID, or null if this is not a direct message of the user
+ */
+export const getDirectMessagePartner = (channel, userId) => {
+    const match = channel.private && channel.name.match(DM_NAME_PATTERN);
+    if (!match) {
+        return null;
+    }
+
+    const low = parseInt(match[1]);
+    const high = parseInt(match[2]);
+    if (low === userId) {
+        return high;
+    }
+    return high === userId ? low : null;
+};
+
+/**
+ * Check whether a channel is one of the current user's direct messages
+ * @param {object} channel - Channel object
+ * @return {boolean} True for direct message channels
+ */
+export const isDirectMessage = (channel) => getDirectMessagePartner(channel, getUserId()) !== null;
+
+/**
+ * Get a channel's name as shown to the user: "#name" or the partner's name for direct messages
+ * @param {object} channel - Channel object
+ * @return {Promise<string>} Promise resolving to the display name
+ */
+export const getChannelDisplayName = (channel) => {
+    const partnerId = getDirectMessagePartner(channel, getUserId());
+    if (partnerId === null) {
+        return Promise.resolve(`#${channel.name}`);
+    }
+    return getUser(partnerId)
+        .then(user => user.name || `User #${partnerId}`)
+        .catch(() => `User #${partnerId}`);
+};
+
+/**
+ * Open the direct message with a user, creating the private channel if needed
+ * @param {number} otherUserId - User to message
+ * @return {Promise} Promise resolving once the channel is selected
+ */
+export const openDirectMessage = (otherUserId) => {
+    const userId = getUserId();
+    const name = getDirectMessageName(userId, otherUserId);
+
+    return getChannelList(true)
+        .then(channels => {
+            const existing = channels.find(channel => {
+                return channel.private
+                    && channel.name === name
+                    && channel.members.includes(userId);
+            });
+            if (existing) {
+                return existing.id;
+            }
+
+            return createChannel(name, 'Direct message', true)
+                .then(created => {
+                    return inviteUserToChannel(created.channelId, otherUserId)
+                        .then(() => created.channelId);
+                });
+        })
+        .then(channelId => {
+            // The channel list must know the channel before it can be selected
+            return loadChannels().then(() => selectChannel(channelId));
+        })
+        .catch(error => {
+            console.error('Failed to open direct message:', error);
+        });
+};
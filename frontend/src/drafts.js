@@ -0,0 +1,156 @@
+/**
+ * Per-channel message drafts for Slackr
+ * Keeps what was typed (and the attached image) for each channel in
+ * localStorage per user, restores it when the channel is opened again
+ * and marks channels with a draft in the channel list
+ */
+
+import { getUserId } from './helpers.js';
+import { onComposerChange, getComposerContent, setComposerContent } from './composer.js';
+
+let isInitialized = false; // Flag to prevent duplicate event listener registration
+
+/**
+ * Get the localStorage key for the current user's draft texts
+ * @return {string} localStorage key
+ */
+const getDraftsKey = () => `slackr-drafts-${getUserId()}`;
+
+/**
+ * Get the localStorage key for a draft image
+ * Images are stored separately so typing doesn't rewrite them on every key press
+ * @param {number} channelId - Channel ID
+ * @return {string} localStorage key
+ */
+const getDraftImageKey = (channelId) => `slackr-draft-image-${getUserId()}-${channelId}`;
+
+/**
+ * Get the draft texts of the current user
+ * @return {object} channelId -> draft text
+ */
+const getDraftTexts = () => {
+    try {
+        return JSON.parse(localStorage.getItem(getDraftsKey())) || {};
+    } catch (error) {
+        return {};
+    }
+};
+
+/**
+ * Get the draft image of a channel
+ * @param {number} channelId - Channel ID
+ * @return {object|null} { name, dataUrl } or null
+ */
+const getDraftImage = (channelId) => {
+    try {
+        return JSON.parse(localStorage.getItem(getDraftImageKey(channelId)));
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Save the composer's content as the draft of the channel it belongs to (once)
+ * @param {Function} getChannelId - Returns the channel the composer belongs to
+ */
+export const initDrafts = (getChannelId) => {
+    if (isInitialized) {
+        return;
+    }
+    isInitialized = true;
+
+    onComposerChange(() => saveDraft(getChannelId()));
+};
+
+/**
+ * Save the composer's content as a channel's draft (an empty composer removes it)
+ * @param {number|null} channelId - Channel ID, null when no channel is open
+ */
+export const saveDraft = (channelId) => {
+    // Nothing to save without a channel, or once another tab logged out
+    if (channelId === null || getUserId() === null) {
+        return;
+    }
+
+    const { text, image } = getComposerContent();
+    const texts = getDraftTexts();
+    if (text.trim()) {
+        texts[channelId] = text;
+    } else {
+        delete texts[channelId];
+    }
+    try {
+        localStorage.setItem(getDraftsKey(), JSON.stringify(texts));
+    } catch (error) {
+        // Storage is full (e.g. cached messages and the outbox), keep typing without saving
+        console.error('Failed to save draft:', error);
+    }
+
+    const imageKey = getDraftImageKey(channelId);
+    const serializedImage = image ? JSON.stringify(image) : null;
+    if (localStorage.getItem(imageKey) === serializedImage) {
+        return;
+    }
+    try {
+        if (serializedImage) {
+            localStorage.setItem(imageKey, serializedImage);
+        } else {
+            localStorage.removeItem(imageKey);
+        }
+    } catch (error) {
+        // Large images may not fit, the draft then keeps only its text
+        console.error('Failed to save draft image:', error);
+    }
+};
+
+/**
+ * Put a channel's draft into the composer (or empty it if there is none)
+ * @param {number} channelId - Channel ID
+ */
+export const restoreDraft = (channelId) => {
+    setComposerContent(getDraftTexts()[channelId] || '', getDraftImage(channelId));
+};
+
+/**
+ * Check whether a channel has a draft
+ * @param {number} channelId - Channel ID
+ * @return {boolean} True if text or an image is waiting to be sent
+ */
+export const hasDraft = (channelId) => {
+    return Boolean(getDraftTexts()[channelId]) || localStorage.getItem(getDraftImageKey(channelId)) !== null;
+};
+
+/**
+ * Render (or remove) the draft indicator on a channel list item
+ * The open channel shows its draft in the composer, so it gets no indicator
+ * @param {HTMLElement} channelElement - Channel container element
+ * @param {number} channelId - Channel ID
+ */
+export const renderDraftIndicator = (channelElement, channelId) => {
+    const showIndicator = !channelElement.classList.contains('active') && hasDraft(channelId);
+    let indicator = channelElement.querySelector('.channel-draft-indicator');
+
+    if (!showIndicator) {
+        if (indicator) {
+            indicator.remove();
+        }
+        return;
+    }
+
+    if (!indicator) {
+        indicator = document.createElement('span');
+        indicator.className = 'channel-draft-indicator';
+        indicator.textContent = '✏️';
+        indicator.title = 'Unsent draft';
+        channelElement.appendChild(indicator);
+    }
+};
+
+/**
+ * Update the draft indicators of every channel in the channel list
+ */
+export const updateDraftIndicators = () => {
+    document.querySelectorAll('.channel-container').forEach(channelElement => {
+        renderDraftIndicator(channelElement, parseInt(channelElement.dataset.channelId));
+    });
+};
@@ -0,0 +1,461 @@
+/**
+ * Emoji picker for Slackr
+ * A searchable picker with categories and the current user's recently used
+ * emoji (kept in localStorage), used to choose message reactions
+ */
+
+import { getUserId } from './helpers.js';
+import { openModal, closeModal } from './modal.js';
+
+const MAX_RECENT = 16; // Emoji kept in the "Recently used" list
+
+// Shown as recently used until the user picked their own
+const DEFAULT_RECENT = ['👍', '❤️', '😂', '😮', '😢', '😡'];
+
+// Categories of [emoji, search keywords]
+const EMOJI_CATEGORIES = [
+    {
+        name: 'Smileys & People',
+        icon: '😀',
+        emoji: [
+            ['😀', 'grinning smile happy'],
+            ['😃', 'smiley happy joy'],
+            ['😄', 'smile happy laugh'],
+            ['😁', 'grin teeth'],
+            ['😆', 'laughing squint'],
+            ['😅', 'sweat smile relief'],
+            ['😂', 'joy tears laugh lol'],
+            ['🙂', 'slight smile'],
+            ['😉', 'wink'],
+            ['😊', 'blush smile'],
+            ['😇', 'innocent halo angel'],
+            ['😍', 'heart eyes love'],
+            ['😘', 'kiss blow'],
+            ['😋', 'yum tongue delicious'],
+            ['😜', 'wink tongue crazy'],
+            ['🤔', 'thinking hmm'],
+            ['🤨', 'raised eyebrow skeptic'],
+            ['😐', 'neutral meh'],
+            ['🙄', 'eye roll'],
+            ['😏', 'smirk'],
+            ['😴', 'sleeping tired zzz'],
+            ['😎', 'cool sunglasses'],
+            ['🤓', 'nerd glasses'],
+            ['😮', 'open mouth surprised wow'],
+            ['😲', 'astonished shocked'],
+            ['😳', 'flushed embarrassed'],
+            ['🥺', 'pleading puppy eyes'],
+            ['😢', 'cry sad tear'],
+            ['😭', 'sob crying loud'],
+            ['😱', 'scream fear'],
+            ['😤', 'triumph huff'],
+            ['😡', 'angry rage mad'],
+            ['🤯', 'mind blown exploding'],
+            ['🥳', 'party celebrate'],
+            ['🤗', 'hug hugging'],
+            ['🤫', 'shush quiet secret'],
+            ['👍', 'thumbs up yes like approve +1'],
+            ['👎', 'thumbs down no dislike -1'],
+            ['👏', 'clap applause'],
+            ['🙌', 'raised hands hooray'],
+            ['🙏', 'pray please thanks'],
+            ['👋', 'wave hello bye'],
+            ['👌', 'ok perfect'],
+            ['✌️', 'victory peace'],
+            ['🤞', 'fingers crossed luck'],
+            ['💪', 'muscle strong flex'],
+            ['👀', 'eyes look watching'],
+            ['🤝', 'handshake deal agree']
+        ]
+    },
+    {
+        name: 'Animals & Nature',
+        icon: '🐶',
+        emoji: [
+            ['🐶', 'dog puppy'],
+            ['🐱', 'cat kitten'],
+            ['🐭', 'mouse'],
+            ['🐰', 'rabbit bunny'],
+            ['🦊', 'fox'],
+            ['🐻', 'bear'],
+            ['🐼', 'panda'],
+            ['🐨', 'koala'],
+            ['🐯', 'tiger'],
+            ['🦁', 'lion'],
+            ['🐮', 'cow'],
+            ['🐷', 'pig'],
+            ['🐸', 'frog'],
+            ['🐵', 'monkey'],
+            ['🐔', 'chicken'],
+            ['🐧', 'penguin'],
+            ['🦉', 'owl'],
+            ['🐢', 'turtle slow'],
+            ['🐍', 'snake python'],
+            ['🐙', 'octopus'],
+            ['🦋', 'butterfly'],
+            ['🐝', 'bee'],
+            ['🌵', 'cactus'],
+            ['🌲', 'tree evergreen'],
+            ['🌸', 'blossom flower'],
+            ['🌻', 'sunflower'],
+            ['🍀', 'clover luck'],
+            ['🌞', 'sun'],
+            ['🌙', 'moon night'],
+            ['⭐', 'star'],
+            ['🌈', 'rainbow'],
+            ['⚡', 'lightning zap'],
+            ['❄️', 'snowflake cold'],
+            ['🔥', 'fire hot lit']
+        ]
+    },
+    {
+        name: 'Food & Drink',
+        icon: '🍔',
+        emoji: [
+            ['🍎', 'apple'],
+            ['🍌', 'banana'],
+            ['🍉', 'watermelon'],
+            ['🍓', 'strawberry'],
+            ['🥑', 'avocado'],
+            ['🌶️', 'chili pepper hot'],
+            ['🥕', 'carrot'],
+            ['🍞', 'bread'],
+            ['🧀', 'cheese'],
+            ['🍔', 'burger hamburger'],
+            ['🍟', 'fries'],
+            ['🍕', 'pizza'],
+            ['🌮', 'taco'],
+            ['🍣', 'sushi'],
+            ['🍜', 'noodles ramen'],
+            ['🍩', 'donut doughnut'],
+            ['🍪', 'cookie'],
+            ['🎂', 'birthday cake'],
+            ['🍰', 'cake shortcake'],
+            ['🍫', 'chocolate'],
+            ['🍿', 'popcorn'],
+            ['☕', 'coffee tea hot'],
+            ['🍵', 'tea'],
+            ['🍺', 'beer'],
+            ['🍷', 'wine'],
+            ['🥂', 'cheers toast']
+        ]
+    },
+    {
+        name: 'Activities',
+        icon: '⚽',
+        emoji: [
+            ['⚽', 'soccer football'],
+            ['🏀', 'basketball'],
+            ['🏈', 'american football'],
+            ['⚾', 'baseball'],
+            ['🎾', 'tennis'],
+            ['🏐', 'volleyball'],
+            ['🏓', 'ping pong table tennis'],
+            ['⛳', 'golf'],
+            ['🎯', 'target bullseye dart'],
+            ['🎮', 'video game controller'],
+            ['🎲', 'dice game'],
+            ['🧩', 'puzzle'],
+            ['🎨', 'art palette'],
+            ['🎸', 'guitar music'],
+            ['🎧', 'headphones music'],
+            ['🎤', 'microphone sing karaoke'],
+            ['🎬', 'movie clapper film'],
+            ['🏆', 'trophy win'],
+            ['🥇', 'gold medal first'],
+            ['🎉', 'tada party celebrate'],
+            ['🎊', 'confetti'],
+            ['🎁', 'gift present']
+        ]
+    },
+    {
+        name: 'Travel & Places',
+        icon: '✈️',
+        emoji: [
+            ['🚗', 'car'],
+            ['🚕', 'taxi'],
+            ['🚌', 'bus'],
+            ['🚲', 'bicycle bike'],
+            ['🚀', 'rocket launch ship it'],
+            ['✈️', 'airplane plane flight'],
+            ['🚢', 'ship boat'],
+            ['🚦', 'traffic light'],
+            ['🏠', 'house home'],
+            ['🏢', 'office building'],
+            ['🏫', 'school'],
+            ['🏥', 'hospital'],
+            ['🏖️', 'beach'],
+            ['🏔️', 'mountain snow'],
+            ['🗺️', 'map world'],
+            ['🌍', 'globe earth world'],
+            ['🗽', 'statue of liberty'],
+            ['🎡', 'ferris wheel']
+        ]
+    },
+    {
+        name: 'Objects',
+        icon: '💡',
+        emoji: [
+            ['💡', 'bulb idea'],
+            ['💻', 'laptop computer'],
+            ['⌨️', 'keyboard'],
+            ['🖥️', 'desktop computer'],
+            ['📱', 'phone mobile'],
+            ['📷', 'camera photo'],
+            ['📚', 'books study'],
+            ['📝', 'memo note write'],
+            ['📌', 'pin pushpin'],
+            ['📎', 'paperclip attachment'],
+            ['✏️', 'pencil edit'],
+            ['📅', 'calendar date'],
+            ['📈', 'chart up increase'],
+            ['📉', 'chart down decrease'],
+            ['🔒', 'lock private'],
+            ['🔑', 'key'],
+            ['🔨', 'hammer build'],
+            ['🔧', 'wrench fix tool'],
+            ['🐛', 'bug'],
+            ['⏰', 'alarm clock time'],
+            ['💰', 'money bag'],
+            ['📦', 'package box ship'],
+            ['✉️', 'envelope mail email'],
+            ['🔔', 'bell notification']
+        ]
+    },
+    {
+        name: 'Symbols',
+        icon: '❤️',
+        emoji: [
+            ['❤️', 'heart love red'],
+            ['🧡', 'orange heart'],
+            ['💛', 'yellow heart'],
+            ['💚', 'green heart'],
+            ['💙', 'blue heart'],
+            ['💜', 'purple heart'],
+            ['🖤', 'black heart'],
+            ['💔', 'broken heart'],
+            ['💯', 'hundred perfect 100'],
+            ['✅', 'check done yes'],
+            ['✔️', 'check mark'],
+            ['❌', 'cross no wrong'],
+            ['❓', 'question'],
+            ['❗', 'exclamation important'],
+            ['⚠️', 'warning caution'],
+            ['🚫', 'prohibited forbidden'],
+            ['➕', 'plus add'],
+            ['➖', 'minus'],
+            ['🔴', 'red circle'],
+            ['🟢', 'green circle'],
+            ['✨', 'sparkles shiny new'],
+            ['💤', 'zzz sleep'],
+            ['💬', 'speech bubble comment'],
+            ['🆗', 'ok button'],
+            ['🆕', 'new button']
+        ]
+    }
+];
+
+/**
+ * Get the localStorage key for the current user's recently used emoji
+ * @return {string} localStorage key
+ */
+const getRecentKey = () => `slackr-recent-emoji-${getUserId()}`;
+
+/**
+ * Get the current user's recently used emoji (most recent first)
+ * @return {Array<string>} Emoji
+ */
+export const getRecentEmoji = () => {
+    try {
+        return JSON.parse(localStorage.getItem(getRecentKey())) || DEFAULT_RECENT;
+    } catch (error) {
+        return DEFAULT_RECENT;
+    }
+};
+
+/**
+ * Move an emoji to the front of the recently used list
+ * @param {string} emoji - Emoji that was just used
+ */
+export const addRecentEmoji = (emoji) => {
+    const recent = [emoji].concat(getRecentEmoji().filter(item => item !== emoji)).slice(0, MAX_RECENT);
+    try {
+        localStorage.setItem(getRecentKey(), JSON.stringify(recent));
+    } catch (error) {
+        console.error('Failed to save recent emoji:', error);
+    }
+};
+
+/**
+ * Find the emoji whose keywords match a search
+ * @param {string} query - Search text (lower case)
+ * @return {Array<string>} Matching emoji
+ */
+const searchEmoji = (query) => {
+    const words = query.split(/\s+/);
+    const matches = [];
+    EMOJI_CATEGORIES.forEach(category => {
+        category.emoji.forEach(([emoji, keywords]) => {
+            if (words.every(word => keywords.includes(word)) && !matches.includes(emoji)) {
+                matches.push(emoji);
+            }
+        });
+    });
+    return matches;
+};
+
+/**
+ * Show the emoji picker
+ * Picking an emoji closes the picker and adds it to the recently used list
+ * @param {string} title - Picker heading
+ * @param {Function} onPick - Called with the chosen emoji
+ * @param {Array<string>} selected - Emoji to mark as selected (e.g. the user's own reactions)
+ */
+export const showEmojiPicker = (title, onPick, selected = []) => {
+    // Remove existing emoji picker if any
+    const existing = document.getElementById('emoji-picker-modal');
+    if (existing) {
+        closeModal(existing);
+        existing.remove();
+    }
+
+    const modal = document.createElement('div');
+    modal.id = 'emoji-picker-modal';
+    modal.className = 'modal';
+
+    const close = () => {
+        closeModal(modal);
+        modal.remove();
+    };
+
+    const content = document.createElement('div');
+    content.className = 'modal-content emoji-picker-content';
+
+    const heading = document.createElement('h2');
+    heading.textContent = title;
+    content.appendChild(heading);
+
+    const search = document.createElement('input');
+    search.type = 'text';
+    search.className = 'emoji-search';
+    search.placeholder = 'Search emoji';
+    content.appendChild(search);
+
+    const nav = document.createElement('div');
+    nav.className = 'emoji-category-nav';
+    content.appendChild(nav);
+
+    const sections = document.createElement('div');
+    sections.className = 'emoji-sections';
+    content.appendChild(sections);
+
+    const closeBtn = document.createElement('button');
+    closeBtn.textContent = 'Cancel';
+    closeBtn.className = 'btn-secondary';
+    closeBtn.addEventListener('click', close);
+    content.appendChild(closeBtn);
+
+    const pick = (emoji) => {
+        addRecentEmoji(emoji);
+        close();
+        onPick(emoji);
+    };
+
+    const render = () => {
+        const query = search.value.trim().toLowerCase();
+        sections.textContent = '';
+        nav.style.display = query ? 'none' : '';
+
+        if (query) {
+            const matches = searchEmoji(query);
+            if (matches.length === 0) {
+                const empty = document.createElement('p');
+                empty.className = 'empty-message';
+                empty.textContent = 'No emoji found.';
+                sections.appendChild(empty);
+            } else {
+                sections.appendChild(createEmojiSection('Search results', matches, selected, pick));
+            }
+            return;
+        }
+
+        sections.appendChild(createEmojiSection('Recently used', getRecentEmoji(), selected, pick));
+        EMOJI_CATEGORIES.forEach(category => {
+            sections.appendChild(createEmojiSection(category.name, category.emoji.map(([emoji]) => emoji), selected, pick));
+        });
+    };
+
+    // Category shortcuts jump to their section
+    [{ name: 'Recently used', icon: '🕘' }].concat(EMOJI_CATEGORIES).forEach(category => {
+        const btn = document.createElement('button');
+        btn.className = 'emoji-category-button';
+        btn.textContent = category.icon;
+        btn.title = category.name;
+        btn.addEventListener('click', () => {
+            const section = sections.querySelector(`[data-category="${category.name}"]`);
+            if (section) {
+                sections.scrollTop = section.offsetTop;
+            }
+        });
+        nav.appendChild(btn);
+    });
+
+    search.addEventListener('input', render);
+    search.addEventListener('keydown', (e) => {
+        // Enter picks the first match
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            const first = sections.querySelector('.emoji-option');
+            if (first) {
+                pick(first.textContent);
+            }
+        }
+    });
+
+    // Click outside to close
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            close();
+        }
+    });
+
+    render();
+    modal.appendChild(content);
+    document.body.appendChild(modal);
+    openModal(modal, { onClose: close, initialFocus: search });
+};
+
+/**
+ * Create a titled section of emoji buttons
+ * @param {string} name - Section title
+ * @param {Array<string>} emojiList - Emoji to show
+ * @param {Array<string>} selected - Emoji to mark as selected
+ * @param {Function} onPick - Called with the clicked emoji
+ * @return {HTMLElement} Section element
+ */
+const createEmojiSection = (name, emojiList, selected, onPick) => {
+    const section = document.createElement('div');
+    section.className = 'emoji-section';
+    section.dataset.category = name;
+
+    const heading = document.createElement('h3');
+    heading.className = 'emoji-section-title';
+    heading.textContent = name;
+    section.appendChild(heading);
+
+    const picker = document.createElement('div');
+    picker.className = 'emoji-picker';
+    emojiList.forEach(emoji => {
+        const btn = document.createElement('button');
+        btn.className = 'emoji-option';
+        btn.textContent = emoji;
+        if (selected.includes(emoji)) {
+            btn.classList.add('selected');
+        }
+        btn.addEventListener('click', () => onPick(emoji));
+        picker.appendChild(btn);
+    });
+    section.appendChild(picker);
+
+    return section;
+};
@@ -0,0 +1,119 @@
+/**
+ * Typed API errors for Slackr
+ * apiCall rejects with these instead of bare strings, so callers can tell
+ * validation errors from auth errors and network failures
+ * Errors that callers don't handle themselves go to one global handler,
+ * which shows the error popup by default
+ */
+
+import { showError } from './helpers.js';
+
+/**
+ * Error returned by the backend (or raised for a request that could not be made)
+ */
+export class ApiError extends Error {
+    /**
+     * @param {string} message - Backend error message (or a generic one)
+     * @param {number} status - HTTP status, 0 if no response was received
+     * @param {string} method - HTTP method of the request
+     * @param {string} endpoint - API path of the request (e.g. '/channel')
+     */
+    constructor(message, status, method, endpoint) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.method = method;
+        this.endpoint = endpoint;
+    }
+}
+
+/**
+ * The token is missing, invalid or expired (401/403)
+ */
+export class AuthError extends ApiError {
+    /**
+     * Same parameters as ApiError
+     */
+    constructor(message, status, method, endpoint) {
+        super(message, status, method, endpoint);
+        this.name = 'AuthError';
+    }
+}
+
+/**
+ * The requested resource does not exist (404)
+ */
+export class NotFoundError extends ApiError {
+    /**
+     * Same parameters as ApiError
+     */
+    constructor(message, status, method, endpoint) {
+        super(message, status, method, endpoint);
+        this.name = 'NotFoundError';
+    }
+}
+
+/**
+ * The backend could not be reached (status 0), or a change was attempted while offline
+ */
+export class NetworkError extends ApiError {
+    /**
+     * @param {string} message - Error message
+     * @param {string} method - HTTP method of the request
+     * @param {string} endpoint - API path of the request
+     */
+    constructor(message, method, endpoint) {
+        super(message, 0, method, endpoint);
+        this.name = 'NetworkError';
+    }
+}
+
+/**
+ * Create the error class matching a failed response
+ * @param {string|undefined} backendMessage - The backend's error message, if any
+ * @param {number} status - HTTP status
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - API path
+ * @return {ApiError} Typed error
+ */
+export const createApiError = (backendMessage, status, method, endpoint) => {
+    const message = backendMessage || `HTTP Error: ${status}`;
+    if (status === 401 || status === 403) {
+        return new AuthError(message, status, method, endpoint);
+    }
+    if (status === 404) {
+        return new NotFoundError(message, status, method, endpoint);
+    }
+    return new ApiError(message, status, method, endpoint);
+};
+
+/**
+ * Default handler: show the error popup
+ * Failed reads while offline show no popup, they fall back to cached data
+ * and the offline banner informs the user
+ * @param {ApiError} error - Error to report
+ */
+const showErrorPopup = (error) => {
+    if (error instanceof NetworkError && error.method === 'GET') {
+        return;
+    }
+    showError(error.message);
+};
+
+let errorHandler = showErrorPopup; // Global handler for errors callers don't handle themselves
+
+/**
+ * Replace the global error handler
+ * @param {Function|null} handler - Called with each unhandled ApiError, null restores the popup
+ */
+export const setErrorHandler = (handler) => {
+    errorHandler = handler || showErrorPopup;
+};
+
+/**
+ * Report an error through the global handler
+ * @param {ApiError} error - Error to report
+ */
+export const handleError = (error) => {
+    errorHandler(error);
+};
@@ -0,0 +1,244 @@
+/**
+ * Markdown-lite message formatter for Slackr
+ * Builds DOM nodes only (no innerHTML) so message text can never inject markup
+ *
+ * Supported syntax:
+ *   **bold**, *italic* or _italic_, `inline code`, ```fenced code blocks```,
+ *   > block quotes, - / * bulleted lists, 1. numbered lists, http(s) links,
+ *   @[Name](userId) mentions
+ */
+
+import { getUserId } from './helpers.js';
+import { showUserProfile } from './user_profile.js';
+
+// Mention token inserted by the composer autocomplete: @[Name](userId)
+const MENTION_PATTERN = /@\[([^\]\n]+)\]\((\d+)\)/;
+
+// Inline tokens, in priority order: code, mention, link, bold, italic (* or _)
+const INLINE_PATTERN = /`([^`\n]+)`|@\[([^\]\n]+)\]\((\d+)\)|(https?:\/\/[^\s]+)|\*\*(.+?)\*\*|\*([^*\s](?:[^*\n]*[^*\s])?)\*|\b_([^_\s](?:[^_\n]*[^_\s])?)_\b/;
+
+// Punctuation that usually ends a sentence rather than a URL
+const URL_TRAILING_PUNCTUATION = /[.,;:!?'")\]]+$/;
+
+const FENCE_PATTERN = /^\s*```/;
+const QUOTE_PATTERN = /^\s*> ?/;
+const BULLET_PATTERN = /^\s*[-*] +/;
+const NUMBERED_PATTERN = /^\s*\d+[.)] +/;
+
+/**
+ * Render message text as formatted DOM nodes
+ * @param {string} text - Raw message text
+ * @return {DocumentFragment} Formatted content
+ */
+export const renderFormattedText = (text) => {
+    const fragment = document.createDocumentFragment();
+    appendBlocks(fragment, (text || '').split('\n'));
+    return fragment;
+};
+
+/**
+ * Build the mention token for a user
+ * Brackets/parentheses are dropped from the name so the token stays parseable
+ * @param {number} userId - Mentioned user ID
+ * @param {string} name - Mentioned user's name
+ * @return {string} Mention token, e.g. '@[Alice](3)'
+ */
+export const createMentionToken = (userId, name) => {
+    return `@[${name.replace(/[[\]()]/g, '')}](${userId})`;
+};
+
+/**
+ * Check whether message text mentions a user
+ * @param {string} text - Raw message text
+ * @param {number} userId - User ID
+ * @return {boolean} True if the text contains a mention of the user
+ */
+export const mentionsUser = (text, userId) => {
+    const pattern = new RegExp(MENTION_PATTERN.source, 'g');
+    let match = pattern.exec(text || '');
+    while (match !== null) {
+        if (parseInt(match[2]) === userId) {
+            return true;
+        }
+        match = pattern.exec(text);
+    }
+    return false;
+};
+
+/**
+ * Replace mention tokens with plain '@Name' (for previews and notifications)
+ * @param {string} text - Raw message text
+ * @return {string} Text with readable mentions
+ */
+export const mentionsToPlainText = (text) => {
+    return (text || '').replace(new RegExp(MENTION_PATTERN.source, 'g'), '@$1');
+};
+
+/**
+ * Append block-level elements (code blocks, quotes, lists, paragraphs)
+ * @param {Node} parent - Node to append to
+ * @param {Array<string>} lines - Lines of text
+ */
+const appendBlocks = (parent, lines) => {
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        // Fenced code block - content is shown verbatim
+        if (FENCE_PATTERN.test(line)) {
+            const codeLines = [];
+            i++;
+            while (i < lines.length && !FENCE_PATTERN.test(lines[i])) {
+                codeLines.push(lines[i]);
+                i++;
+            }
+            i++; // Skip closing fence (if any)
+
+            const pre = document.createElement('pre');
+            pre.className = 'message-code-block';
+            const code = document.createElement('code');
+            code.textContent = codeLines.join('\n');
+            pre.appendChild(code);
+            parent.appendChild(pre);
+            continue;
+        }
+
+        // Block quote - consecutive "> " lines, formatted recursively
+        if (QUOTE_PATTERN.test(line)) {
+            const quoteLines = [];
+            while (i < lines.length && QUOTE_PATTERN.test(lines[i])) {
+                quoteLines.push(lines[i].replace(QUOTE_PATTERN, ''));
+                i++;
+            }
+            const quote = document.createElement('blockquote');
+            quote.className = 'message-quote';
+            appendBlocks(quote, quoteLines);
+            parent.appendChild(quote);
+            continue;
+        }
+
+        // Bulleted or numbered list - consecutive items of the same kind
+        const listPattern = BULLET_PATTERN.test(line) ? BULLET_PATTERN
+            : NUMBERED_PATTERN.test(line) ? NUMBERED_PATTERN
+                : null;
+        if (listPattern) {
+            const list = document.createElement(listPattern === BULLET_PATTERN ? 'ul' : 'ol');
+            list.className = 'message-list';
+            while (i < lines.length && listPattern.test(lines[i])) {
+                const item = document.createElement('li');
+                appendInline(item, lines[i].replace(listPattern, ''));
+                list.appendChild(item);
+                i++;
+            }
+            parent.appendChild(list);
+            continue;
+        }
+
+        // Paragraph - consecutive plain lines, line breaks kept
+        const paragraphLines = [];
+        while (i < lines.length && !isBlockStart(lines[i])) {
+            paragraphLines.push(lines[i]);
+            i++;
+        }
+        const paragraph = document.createElement('p');
+        paragraphLines.forEach((paragraphLine, index) => {
+            if (index > 0) {
+                paragraph.appendChild(document.createElement('br'));
+            }
+            appendInline(paragraph, paragraphLine);
+        });
+        parent.appendChild(paragraph);
+    }
+};
+
+/**
+ * Check whether a line starts a non-paragraph block
+ * @param {string} line - Line of text
+ * @return {boolean} True for fences, quotes and list items
+ */
+const isBlockStart = (line) => {
+    return FENCE_PATTERN.test(line) ||
+           QUOTE_PATTERN.test(line) ||
+           BULLET_PATTERN.test(line) ||
+           NUMBERED_PATTERN.test(line);
+};
+
+/**
+ * Create a clickable mention chip that opens the user's profile
+ * Mentions of the current user are highlighted
+ * @param {number} userId - Mentioned user ID
+ * @param {string} name - Name stored in the mention token
+ * @return {HTMLElement} Mention chip element
+ */
+const createMentionChip = (userId, name) => {
+    const chip = document.createElement('span');
+    chip.className = 'mention-chip';
+    if (userId === getUserId()) {
+        chip.classList.add('mention-self');
+    }
+    chip.textContent = `@${name}`;
+    chip.title = `View ${name}'s profile`;
+    chip.addEventListener('click', () => showUserProfile(userId));
+    return chip;
+};
+
+/**
+ * Append inline formatted text (code, mentions, links, bold, italics)
+ * @param {Node} parent - Node to append to
+ * @param {string} text - Single line of text
+ */
+const appendInline = (parent, text) => {
+    // Fresh global regex per call, appendInline recurses into bold/italic tokens
+    const pattern = new RegExp(INLINE_PATTERN.source, 'g');
+    let lastIndex = 0;
+    let match = pattern.exec(text);
+
+    while (match !== null) {
+        // Plain text before the token
+        if (match.index > lastIndex) {
+            parent.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+        }
+        let tokenEnd = pattern.lastIndex;
+
+        const [, code, mentionName, mentionId, url, bold, italicStar, italicUnderscore] = match;
+
+        if (code !== undefined) {
+            const codeEl = document.createElement('code');
+            codeEl.className = 'message-inline-code';
+            codeEl.textContent = code;
+            parent.appendChild(codeEl);
+        } else if (mentionId !== undefined) {
+            parent.appendChild(createMentionChip(parseInt(mentionId), mentionName));
+        } else if (url !== undefined) {
+            // Leave trailing punctuation out of the link
+            const trailing = url.match(URL_TRAILING_PUNCTUATION);
+            const href = trailing ? url.slice(0, -trailing[0].length) : url;
+            tokenEnd -= url.length - href.length;
+            pattern.lastIndex = tokenEnd;
+
+            const link = document.createElement('a');
+            link.href = href;
+            link.textContent = href;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            parent.appendChild(link);
+        } else if (bold !== undefined) {
+            const strong = document.createElement('strong');
+            appendInline(strong, bold);
+            parent.appendChild(strong);
+        } else {
+            const em = document.createElement('em');
+            appendInline(em, italicStar !== undefined ? italicStar : italicUnderscore);
+            parent.appendChild(em);
+        }
+
+        lastIndex = tokenEnd;
+        match = pattern.exec(text);
+    }
+
+    // Remaining plain text
+    if (lastIndex < text.length) {
+        parent.appendChild(document.createTextNode(text.slice(lastIndex)));
+    }
+};
@@ -3,6 +3,8 @@
  * These utilities support common operations like file handling and API calls
  */
 
+import { openModal, closeModal } from './modal.js';
+
 /**
  * Given a js file object representing a jpg or png image, such as one taken
  * from a html file input element, return a promise which resolves to the file
@@ -46,7 +48,7 @@ export const showError = (message) => {
     const errorBody = document.getElementById('error-body');
 
     errorBody.textContent = message;
-    errorPopup.style.display = 'flex';
+    openModal(errorPopup, { role: 'alertdialog' });
 };
 
 /**
@@ -54,8 +56,7 @@ export const showError = (message) => {
  * Hides #error-popup DOM element
  */
 export const hideError = () => {
-    const errorPopup = document.getElementById('error-popup');
-    errorPopup.style.display = 'none';
+    closeModal(document.getElementById('error-popup'));
 };
 
 /**
@@ -73,6 +74,8 @@ export const isValidToken = (token) => {
 /**
  * Show a success notice popup to the user
  * Uses #notice-popup and #notice-body DOM elements
+ * Notices also come from the background (e.g. new message notifications), so they
+ * leave focus where it is (e.g. in the message box) and are announced instead
  * @param {string} message - The success message to display
  */
 export const showNotice = (message) => {
@@ -80,7 +83,8 @@ export const showNotice = (message) => {
     const noticeBody = document.getElementById('notice-body');
 
     noticeBody.textContent = message;
-    noticePopup.style.display = 'flex';
+    openModal(noticePopup, { isModeless: true });
+    announce(message);
 };
 
 /**
@@ -88,8 +92,20 @@ export const showNotice = (message) => {
  * Hides #notice-popup DOM element
  */
 export const hideNotice = () => {
-    const noticePopup = document.getElementById('notice-popup');
-    noticePopup.style.display = 'none';
+    closeModal(document.getElementById('notice-popup'));
+};
+
+/**
+ * Announce a message to screen readers through the #live-region element
+ * The region is cleared first so that repeating the same message is announced again
+ * @param {string} message - Text to announce
+ */
+export const announce = (message) => {
+    const liveRegion = document.getElementById('live-region');
+    liveRegion.textContent = '';
+    setTimeout(() => {
+        liveRegion.textContent = message;
+    }, 100);
 };
 
 /**
@@ -19,15 +19,28 @@ import {
     getUserId,
     clearUserId
 } from './helpers.js';
-import { initChannels } from './channel.js';
-import { showOwnProfile, initPasswordToggle } from './user_profile.js';
+import { initChannels, selectChannel, deselectChannel, getCurrentChannelId } from './channel.js';
+import { showOwnProfile, showUserProfile, closeProfiles, initPasswordToggle } from './user_profile.js';
+import { setOfflineMode, clearOfflineCache } from './offline.js';
+import { initRouter, applyCurrentRoute, clearRoute } from './router.js';
+import { resetUnreadCounts } from './unread.js';
+import { initSearch, resetSearchIndex } from './search.js';
+import { resetStore } from './store.js';
+import { initSession, logIn, checkToken } from './session.js';
+import { initTabSync, startLeaderElection, stopLeaderElection } from './tab_sync.js';
+import { clearUserDirectory } from './user_directory.js';
+import { initShortcuts } from './shortcuts.js';
+import { closeAllModals } from './modal.js';
 
 console.log('Slackr application started!');
 
+let dashboardUserId = null; // User the dashboard was loaded for, null on the auth screen
+
 /**
  * Show the authentication screen (login/register)
  */
 const showAuthScreen = () => {
+    dashboardUserId = null;
     document.getElementById('auth-container').style.display = 'block';
     document.getElementById('dashboard-container').style.display = 'none';
 
@@ -40,11 +53,16 @@ const showAuthScreen = () => {
  * Show the dashboard screen and initialize channel functionality
  */
 const showDashboard = () => {
+    dashboardUserId = getUserId();
     document.getElementById('auth-container').style.display = 'none';
     document.getElementById('dashboard-container').style.display = 'block';
 
     // Initialize channel module (M2.2.1, 2.2.2, 2.2.3)
-    initChannels();
+    // then show the screen named in the URL (M2.7.2)
+    initChannels().then(applyCurrentRoute);
+
+    // Poll joined channels for new messages (M2.6.2), in one tab only
+    startLeaderElection();
 
     console.log('Dashboard loaded with channels');
 };
@@ -69,31 +87,16 @@ const handleLogin = (event) => {
         return;
     }
 
-    // Make API call to login using Promise chain
-    fetch(`${BACKEND_URL}/auth/login`, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ email, password })
-    })
-    .then(response => response.json())
-    .then(data => {
-        if (data.error) {
-            showError(data.error);
-            return Promise.reject(new Error(data.error));
-        }
-        // Store token and user ID
-        setToken(data.token);
-        setUserId(data.userId);
-
-        // Show dashboard
-        showDashboard();
-        showNotice('Login successful!');
-    })
-    .catch(error => {
-        console.error('Login error:', error);
-    });
+    // Log in (stores the token and user ID), errors are shown by the global error handler
+    logIn(email, password)
+        .then(() => {
+            // Show dashboard
+            showDashboard();
+            showNotice('Login successful!');
+        })
+        .catch(error => {
+            console.error('Login error:', error);
+        });
 };
 
 /**
@@ -163,6 +166,8 @@ const handleRegister = (event) => {
  * Handle logout - clears session and returns to auth screen
  */
 const handleLogout = () => {
+    resetSession();
+
     // Make API call to logout using Promise chain
     const token = getToken();
 
@@ -191,6 +196,62 @@ const handleLogout = () => {
     });
 };
 
+/**
+ * Handle another tab logging in: show the dashboard here too
+ * If someone else logged in over there, this tab still shows the previous user's
+ * channels, messages and drafts, so it starts over (like the re-login modal does)
+ */
+const handleSignedIn = () => {
+    if (!isLoggedIn()) {
+        showDashboard();
+    } else if (getUserId() !== dashboardUserId) {
+        clearRoute();
+        window.location.reload();
+    }
+};
+
+/**
+ * Handle another tab logging out: the token is gone, so return to the login screen
+ */
+const handleSignedOut = () => {
+    if (!isLoggedIn()) {
+        return;
+    }
+    resetSession();
+    clearUserId();
+    showAuthScreen();
+};
+
+/**
+ * Check whether the dashboard is shown
+ * @return {boolean} True while a user is logged in
+ */
+const isLoggedIn = () => document.getElementById('dashboard-container').style.display === 'block';
+
+/**
+ * Drop everything that belongs to the logged in user (on logout)
+ */
+const resetSession = () => {
+    // Stop background polling before the token is cleared
+    stopLeaderElection();
+    resetUnreadCounts();
+    resetSearchIndex();
+
+    // No popup of this user may stay open (and keep focus) over the login screen
+    closeAllModals();
+
+    // Close the open channel (saving its draft) so nothing carries over to the next user
+    deselectChannel();
+
+    // Cached channel data and profiles belong to this user only
+    resetStore();
+    clearUserDirectory();
+    clearOfflineCache();
+
+    // Don't keep the last screen in the URL for the next user
+    clearRoute();
+};
+
 /**
  * Set up authentication-related event listeners
  */
@@ -243,6 +304,33 @@ const setupEventListeners = () => {
 
     // Initialize password toggle for profile form
     initPasswordToggle();
+
+    // Message search panel
+    initSearch();
+
+    // URL fragment routing (Milestone 2.7.2)
+    initRouter({
+        selectChannel,
+        deselectChannel,
+        getCurrentChannelId,
+        showOwnProfile,
+        showUserProfile,
+        closeProfiles,
+        isLoggedIn
+    });
+
+    // Re-login when the session expires, follow logins and logouts of other tabs
+    initSession({
+        logout: handleLogout,
+        signIn: handleSignedIn,
+        signOut: handleSignedOut
+    });
+
+    // Share sent messages, profile and channel changes with other tabs
+    initTabSync();
+
+    // Keyboard shortcuts, Ctrl+K command palette and "?" cheat sheet
+    initShortcuts({ isLoggedIn });
 };
 
 /**
@@ -257,14 +345,9 @@ const init = () => {
 
     if (isValidToken(token)) {
         // Verify token with backend by making an API call
-        fetch(`${BACKEND_URL}/channel`, {
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${token}`
-            }
-        })
-        .then(response => {
-            if (response.ok) {
+        checkToken()
+        .then(isValid => {
+            if (isValid) {
                 // Token is valid, user is authenticated
                 showDashboard();
             } else {
@@ -275,11 +358,10 @@ const init = () => {
             }
         })
         .catch(error => {
-            // Network error or token invalid, clear and show login
+            // Network error - keep the session and show cached data (Milestone 2.7.1)
             console.error('Token validation error:', error);
-            clearToken();
-            clearUserId();
-            showAuthScreen();
+            setOfflineMode(true);
+            showDashboard();
         });
     } else {
         // No valid token, clear any invalid tokens and show login
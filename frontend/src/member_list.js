@@ -0,0 +1,303 @@
+/**
+ * Channel member list for Slackr
+ * A side panel listing the members of the open channel with their photo and name,
+ * the creator marked; clicking a member opens their profile
+ *
+ * The backend has no presence, so a member's "last active" hint is the time of
+ * their most recent message in the channel (among the newest few pages)
+ */
+
+import { getMessages } from './api.js';
+import { subscribe } from './store.js';
+import { getUsers } from './user_directory.js';
+import { getUserId, formatTimestamp } from './helpers.js';
+import { showUserProfile } from './user_profile.js';
+import { closeThread } from './threads.js';
+import { MEMBER_ACTIVE_WINDOW, MEMBER_ACTIVITY_MAX_PAGES } from './config.js';
+
+// Member panel state
+let memberChannel = null; // Details of the channel shown in the panel, null when closed
+let members = null; // [{ id, name, image }] of the shown channel, null until loaded
+let lastActive = {}; // userId -> sentAt of the member's newest message in the channel
+let isActivityLoaded = false; // Whether the channel history was searched for every member
+let isHistorySearched = false; // Whether members without a hint are known to have never posted
+let memberLoadId = 0; // Incremented on open/close to discard stale responses
+let activityLoadId = 0; // Incremented when the shown channel changes to discard stale history searches
+let isInitialized = false; // Flag to prevent duplicate event listener registration
+
+/**
+ * Set up member panel event listeners (once)
+ */
+const initMemberList = () => {
+    if (isInitialized) {
+        return;
+    }
+    isInitialized = true;
+
+    subscribe('messages', handleMessageChange);
+    document.getElementById('member-list-close').addEventListener('click', closeMemberList);
+    document.getElementById('member-list-filter').addEventListener('input', renderMemberList);
+};
+
+/**
+ * Open the member panel for a channel (the thread panel is closed to make room)
+ * @param {object} channelData - Channel details (needs id, creator and members)
+ */
+export const showMemberList = (channelData) => {
+    initMemberList();
+    closeThread();
+
+    const isSameChannel = memberChannel !== null && memberChannel.id === channelData.id;
+    memberChannel = channelData;
+    const loadId = ++memberLoadId;
+
+    document.getElementById('member-list-panel').style.display = 'flex';
+    if (!isSameChannel) {
+        activityLoadId++;
+        members = null;
+        lastActive = {};
+        isActivityLoaded = false;
+        isHistorySearched = false;
+        document.getElementById('member-list-filter').value = '';
+        renderMemberList();
+    }
+
+    getUsers(channelData.members)
+        .then(users => {
+            if (loadId !== memberLoadId) {
+                return;
+            }
+            members = channelData.members.map(userId => {
+                const user = users[userId];
+                return { id: userId, name: (user && user.name) || `User #${userId}`, image: user ? user.image : null };
+            });
+            renderMemberList();
+        });
+
+    // New members have no messages yet, so the activity of the shown channel stays valid
+    if (isSameChannel) {
+        return;
+    }
+    const activityId = activityLoadId;
+    findLastActive(channelData.id, channelData.members)
+        .then(({ found, isComplete }) => {
+            if (activityId !== activityLoadId) {
+                return;
+            }
+            lastActive = { ...found, ...lastActive };
+            isActivityLoaded = true;
+            isHistorySearched = isComplete;
+            renderMemberList();
+        })
+        .catch(error => {
+            console.error('Failed to load member activity:', error);
+        });
+};
+
+/**
+ * Close the member panel
+ */
+export const closeMemberList = () => {
+    memberChannel = null;
+    members = null;
+    memberLoadId++;
+    activityLoadId++;
+
+    const panel = document.getElementById('member-list-panel');
+    panel.style.display = 'none';
+    document.getElementById('member-list').textContent = '';
+};
+
+/**
+ * Open the member panel, or close it if it already shows the channel
+ * @param {object} channelData - Channel details
+ */
+export const toggleMemberList = (channelData) => {
+    if (memberChannel !== null && memberChannel.id === channelData.id) {
+        closeMemberList();
+    } else {
+        showMemberList(channelData);
+    }
+};
+
+/**
+ * Keep an open member panel in sync with the channel details being shown
+ * @param {object} channelData - Channel details just rendered
+ */
+export const updateMemberList = (channelData) => {
+    if (memberChannel === null) {
+        return;
+    }
+    if (channelData.members.includes(getUserId())) {
+        showMemberList(channelData);
+    } else {
+        closeMemberList();
+    }
+};
+
+/**
+ * Fetch pages from the newest message until every member's newest message is found
+ * Members who never posted are common, so the search stops after a few pages
+ * @param {number} channelId - Channel ID
+ * @param {Array<number>} memberIds - Members to find
+ * @param {number} start - Offset of the page to request
+ * @param {object} found - userId -> sentAt found so far
+ * @param {number} pageCount - Pages fetched so far
+ * @return {Promise<object>} Promise resolving to { found, isComplete }: userId -> sentAt
+ *                           (members without a message in the searched pages are missing)
+ *                           and whether the missing members are known to have never posted
+ */
+const findLastActive = (channelId, memberIds, start = 0, found = {}, pageCount = 0) => {
+    // Errors are not worth a popup, the hints just stay empty
+    return getMessages(channelId, start, false)
+        .then(data => {
+            if (data.messages.length === 0) {
+                return { found, isComplete: true };
+            }
+
+            const pageFound = { ...found };
+            data.messages.forEach(msg => {
+                if (!pageFound[msg.sender]) {
+                    pageFound[msg.sender] = msg.sentAt;
+                }
+            });
+
+            if (memberIds.every(userId => pageFound[userId])) {
+                return { found: pageFound, isComplete: true };
+            }
+            if (pageCount + 1 >= MEMBER_ACTIVITY_MAX_PAGES) {
+                return { found: pageFound, isComplete: false };
+            }
+            return findLastActive(channelId, memberIds, start + data.messages.length, pageFound, pageCount + 1);
+        });
+};
+
+/**
+ * Store subscription: newly fetched messages of the shown channel update the activity hints
+ * @param {object} change - { type, channelId, messages, ... }
+ */
+const handleMessageChange = (change) => {
+    if (change.type !== 'refreshed' || memberChannel === null || change.channelId !== memberChannel.id) {
+        return;
+    }
+
+    let hasChanged = false;
+    change.messages.forEach(msg => {
+        if (!lastActive[msg.sender] || new Date(msg.sentAt) > new Date(lastActive[msg.sender])) {
+            lastActive[msg.sender] = msg.sentAt;
+            hasChanged = true;
+        }
+    });
+    if (hasChanged) {
+        renderMemberList();
+    }
+};
+
+/**
+ * Render the members matching the filter, the creator first and the rest by name
+ */
+const renderMemberList = () => {
+    const list = document.getElementById('member-list');
+    const title = document.getElementById('member-list-title');
+    const query = document.getElementById('member-list-filter').value.trim().toLowerCase();
+
+    list.textContent = '';
+    if (memberChannel === null) {
+        return;
+    }
+    title.textContent = `Members (${memberChannel.members.length})`;
+
+    if (!members) {
+        const loading = document.createElement('p');
+        loading.className = 'messages-loading-indicator';
+        loading.textContent = 'Loading members...';
+        list.appendChild(loading);
+        return;
+    }
+
+    const creatorId = memberChannel.creator;
+    const matches = members
+        .filter(member => member.name.toLowerCase().includes(query))
+        .sort((a, b) => (b.id === creatorId) - (a.id === creatorId) || a.name.localeCompare(b.name));
+
+    if (matches.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'empty-message';
+        empty.textContent = 'No members match your search.';
+        list.appendChild(empty);
+        return;
+    }
+
+    matches.forEach(member => {
+        list.appendChild(createMemberElement(member, member.id === creatorId));
+    });
+};
+
+/**
+ * Get the "last active" hint of a member
+ * @param {number} userId - Member's user ID
+ * @return {string} Hint text (empty while the channel history is being searched)
+ */
+const getLastActiveText = (userId) => {
+    if (lastActive[userId]) {
+        return `Last active: ${formatTimestamp(lastActive[userId])}`;
+    }
+    if (!isActivityLoaded) {
+        return '';
+    }
+    return isHistorySearched ? 'No messages yet' : 'No recent messages';
+};
+
+/**
+ * Create a member list item: photo, name, creator badge and last active hint
+ * @param {object} member - { id, name, image }
+ * @param {boolean} isCreator - Whether the member created the channel
+ * @return {HTMLElement} Member element
+ */
+const createMemberElement = (member, isCreator) => {
+    const item = document.createElement('div');
+    item.className = 'member-item';
+    item.addEventListener('click', () => showUserProfile(member.id));
+
+    const photoWrapper = document.createElement('div');
+    photoWrapper.className = 'member-photo-wrapper';
+
+    const photo = document.createElement('img');
+    photo.className = 'member-photo';
+    photo.alt = '';
+    photo.src = member.image || 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100"%3E%3Ccircle cx="50" cy="50" r="50" fill="%23ccc"/%3E%3Ctext x="50" y="50" text-anchor="middle" dy=".3em" fill="%23fff" font-size="40"%3EU%3C/text%3E%3C/svg%3E';
+    photoWrapper.appendChild(photo);
+
+    // Recently active members get a presence dot
+    const sentAt = lastActive[member.id];
+    if (sentAt && Date.now() - new Date(sentAt).getTime() < MEMBER_ACTIVE_WINDOW) {
+        const presence = document.createElement('span');
+        presence.className = 'member-presence';
+        presence.title = 'Recently active';
+        photoWrapper.appendChild(presence);
+    }
+
+    const info = document.createElement('div');
+    info.className = 'member-info';
+
+    const name = document.createElement('span');
+    name.className = 'member-name';
+    name.textContent = member.name;
+    info.appendChild(name);
+
+    if (isCreator) {
+        const badge = document.createElement('span');
+        badge.className = 'member-creator-badge';
+        badge.textContent = 'Creator';
+        info.appendChild(badge);
+    }
+
+    const activity = document.createElement('div');
+    activity.className = 'member-last-active';
+    activity.textContent = getLastActiveText(member.id);
+    info.appendChild(activity);
+
+    item.appendChild(photoWrapper);
+    item.appendChild(info);
+    return item;
+};
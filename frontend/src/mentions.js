@@ -0,0 +1,218 @@
+/**
+ * @mentions for Slackr
+ * Autocompletes channel members when typing "@" in #message-input
+ * and lists every message that mentions the current user
+ */
+
+import { getChannel } from './store.js';
+import { getUsers } from './user_directory.js';
+import { getUserId } from './helpers.js';
+import { createMentionToken, mentionsUser } from './formatter.js';
+import { loadSearchIndex, createResultElement } from './search.js';
+import { openModal, closeModal } from './modal.js';
+
+const MAX_SUGGESTIONS = 8;
+
+let getActiveChannelId = null; // Returns the channel the composer posts to
+let suggestions = []; // Members currently shown in the popup
+let selectedIndex = 0; // Highlighted suggestion
+let mentionStart = -1; // Index of the "@" being completed, -1 when the popup is closed
+let isInitialized = false; // Flag to prevent duplicate event listener registration
+
+/**
+ * Set up mention autocomplete on #message-input and the mentions view (once)
+ * @param {Function} getChannelId - Returns the currently selected channel ID
+ */
+export const initMentions = (getChannelId) => {
+    if (isInitialized) {
+        return;
+    }
+    isInitialized = true;
+    getActiveChannelId = getChannelId;
+
+    const input = document.getElementById('message-input');
+    input.addEventListener('input', updateSuggestions);
+    input.addEventListener('keydown', handleSuggestionKeys);
+    input.addEventListener('blur', () => {
+        // Delay so a click on a suggestion still registers
+        setTimeout(closeSuggestions, 150);
+    });
+
+    const panel = document.getElementById('mentions-panel');
+    document.getElementById('mentions-button').addEventListener('click', showMentionsPanel);
+    document.getElementById('mentions-close').addEventListener('click', hideMentionsPanel);
+    panel.addEventListener('click', (e) => {
+        if (e.target === panel) {
+            hideMentionsPanel();
+        }
+    });
+};
+
+/**
+ * Get the members of a channel with their names (details come from the store, profiles from the user directory)
+ * @param {number} channelId - Channel ID
+ * @return {Promise<Array>} Promise resolving to [{ id, name, image }]
+ */
+const getChannelMembers = (channelId) => {
+    return getChannel(channelId)
+        .then(data => getUsers(data.members).then(users => data.members.map(userId => {
+            const user = users[userId];
+            return { id: userId, name: (user && user.name) || `User #${userId}`, image: user ? user.image : null };
+        })));
+};
+
+/**
+ * Show or update the suggestion popup for the "@word" before the caret
+ */
+const updateSuggestions = () => {
+    const input = document.getElementById('message-input');
+    const channelId = getActiveChannelId();
+    const beforeCaret = input.value.slice(0, input.selectionStart);
+    const match = beforeCaret.match(/(^|\s)@([^\s@[\]]*)$/);
+
+    if (!match || channelId === null) {
+        closeSuggestions();
+        return;
+    }
+
+    const query = match[2].toLowerCase();
+    const start = beforeCaret.length - match[2].length - 1;
+
+    getChannelMembers(channelId)
+        .then(members => {
+            // Input may have changed while members were loading
+            if (input.value.slice(0, input.selectionStart) !== beforeCaret) {
+                return;
+            }
+            const userId = getUserId();
+            suggestions = members
+                .filter(member => member.id !== userId && member.name.toLowerCase().includes(query))
+                .sort((a, b) => a.name.localeCompare(b.name))
+                .slice(0, MAX_SUGGESTIONS);
+            mentionStart = start;
+            selectedIndex = 0;
+            renderSuggestions();
+        })
+        .catch(() => closeSuggestions());
+};
+
+/**
+ * Render the suggestion popup
+ */
+const renderSuggestions = () => {
+    const popup = document.getElementById('mention-autocomplete');
+    popup.textContent = '';
+
+    if (suggestions.length === 0) {
+        closeSuggestions();
+        return;
+    }
+
+    suggestions.forEach((member, index) => {
+        const item = document.createElement('div');
+        item.className = 'mention-suggestion';
+        if (index === selectedIndex) {
+            item.classList.add('selected');
+        }
+        item.textContent = member.name;
+        // mousedown fires before the input's blur
+        item.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            insertMention(member);
+        });
+        popup.appendChild(item);
+    });
+
+    popup.style.display = 'block';
+};
+
+/**
+ * Close the suggestion popup
+ */
+const closeSuggestions = () => {
+    const popup = document.getElementById('mention-autocomplete');
+    popup.style.display = 'none';
+    popup.textContent = '';
+    suggestions = [];
+    mentionStart = -1;
+};
+
+/**
+ * Keyboard navigation in the popup: arrows move, Enter/Tab select, Escape closes
+ * Prevents Enter from sending the message while the popup is open
+ * @param {KeyboardEvent} e - Keydown event
+ */
+const handleSuggestionKeys = (e) => {
+    if (mentionStart === -1) {
+        return;
+    }
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        selectedIndex = (selectedIndex + step + suggestions.length) % suggestions.length;
+        renderSuggestions();
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        insertMention(suggestions[selectedIndex]);
+    } else if (e.key === 'Escape') {
+        e.preventDefault();
+        closeSuggestions();
+    }
+};
+
+/**
+ * Replace the "@word" being typed with a mention token
+ * Fires an input event like typing does, so the draft is saved and the suggestions update
+ * @param {object} member - Selected member { id, name }
+ */
+const insertMention = (member) => {
+    const input = document.getElementById('message-input');
+    const caret = input.selectionStart;
+    const token = `${createMentionToken(member.id, member.name)} `;
+
+    input.value = input.value.slice(0, mentionStart) + token + input.value.slice(caret);
+    const newCaret = mentionStart + token.length;
+    input.focus();
+    input.setSelectionRange(newCaret, newCaret);
+    closeSuggestions();
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+};
+
+/**
+ * Show every message in joined channels that mentions the current user
+ * Uses the message index, topped up with the messages sent since it was built
+ */
+export const showMentionsPanel = () => {
+    const panel = document.getElementById('mentions-panel');
+    const status = document.getElementById('mentions-status');
+    const list = document.getElementById('mentions-results');
+
+    openModal(panel, { onClose: hideMentionsPanel });
+    list.textContent = '';
+    status.textContent = 'Loading mentions...';
+
+    loadSearchIndex()
+        .then(index => {
+            if (!index) {
+                status.textContent = 'Failed to load mentions.';
+                return;
+            }
+            const userId = getUserId();
+            const mentions = index.filter(entry => mentionsUser(entry.rawText, userId));
+
+            status.textContent = mentions.length === 0
+                ? 'Nobody has mentioned you yet.'
+                : `${mentions.length} mention${mentions.length === 1 ? '' : 's'}`;
+            mentions.forEach(entry => {
+                list.appendChild(createResultElement(entry, hideMentionsPanel));
+            });
+        });
+};
+
+/**
+ * Hide the mentions view
+ */
+const hideMentionsPanel = () => {
+    closeModal(document.getElementById('mentions-panel'));
+};
@@ -0,0 +1,271 @@
+/**
+ * Modal manager for Slackr
+ * Every modal is shown and hidden through here, which makes them accessible:
+ * the dialog gets role="dialog" and aria-modal, focus moves into it and is
+ * trapped there, Escape closes it and focus returns to where it was before
+ *
+ * Modals opened while another one is open stack on top of it;
+ * only the top one receives Escape, and focus stays in the top one that took it
+ * (modeless popups such as notices leave focus where it is)
+ */
+
+const FOCUSABLE_SELECTOR = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+const BASE_Z_INDEX = 1000; // z-index of .modal in global.css
+
+let modalStack = []; // [{ modal, onClose, isDismissible, isModeless, returnFocus }], the top modal last
+let labelCount = 0; // Used to give modal headings unique IDs
+let isInitialized = false; // Flag to prevent duplicate event listener registration
+
+/**
+ * Set up the Escape, Tab and focus listeners (once)
+ */
+const initModals = () => {
+    if (isInitialized) {
+        return;
+    }
+    isInitialized = true;
+
+    document.addEventListener('keydown', handleModalKeys);
+
+    // Keep focus in the top modal when something outside it is focused (e.g. by a script)
+    document.addEventListener('focusin', (e) => {
+        const top = getFocusedEntry();
+        if (top && !top.modal.contains(e.target)) {
+            focusInitial(top.modal, null);
+        }
+    });
+};
+
+/**
+ * Show a modal on top of any open ones and move focus into it
+ * Opening a modal that is already open leaves it where it is
+ * @param {HTMLElement} modal - .modal element (dynamically built modals must already be in the document)
+ * @param {object} options - Optional settings:
+ *   onClose: closes the modal on Escape, for modals that clean up when closed (default: closeModal)
+ *   isDismissible: false for modals that Escape must not close (default: true)
+ *   role: 'dialog' or 'alertdialog' for popups that need the user's attention (default: 'dialog')
+ *   label: accessible name for modals without a heading
+ *   initialFocus: element to focus instead of the first focusable one
+ *   isModeless: true for popups that must not take or trap focus (e.g. background notices)
+ */
+export const openModal = (modal, options = {}) => {
+    initModals();
+
+    if (modalStack.some(entry => entry.modal === modal)) {
+        return;
+    }
+
+    const isModeless = options.isModeless === true;
+    setDialogAttributes(modal, options.role || 'dialog', options.label, isModeless);
+    modalStack.push({
+        modal,
+        onClose: options.onClose || (() => closeModal(modal)),
+        isDismissible: options.isDismissible !== false,
+        isModeless,
+        returnFocus: isModeless ? null : document.activeElement
+    });
+
+    modal.classList.toggle('modal-modeless', isModeless);
+    modal.style.zIndex = BASE_Z_INDEX + modalStack.length;
+    modal.style.display = 'flex';
+    if (!isModeless) {
+        focusInitial(modal, options.initialFocus || null);
+    }
+};
+
+/**
+ * Hide a modal and return focus to the element that had it when the modal opened
+ * Dynamically built modals are removed by the caller afterwards
+ * @param {HTMLElement} modal - .modal element
+ */
+export const closeModal = (modal) => {
+    modal.style.display = 'none';
+    modal.style.zIndex = '';
+
+    const index = modalStack.findIndex(entry => entry.modal === modal);
+    if (index === -1) {
+        return;
+    }
+    const [entry] = modalStack.splice(index, 1);
+    if (entry.isModeless) {
+        return;
+    }
+
+    // A modal opened from this one is still open: it returns focus to where this one would have
+    const above = modalStack.slice(index).find(other => !other.isModeless);
+    if (above) {
+        above.returnFocus = entry.returnFocus;
+        return;
+    }
+    restoreFocus(entry.returnFocus);
+};
+
+/**
+ * Close every open modal, the top one first (on logout)
+ * Each closes through its own close function so it cleans up as usual,
+ * modals that Escape cannot close are hidden as well
+ */
+export const closeAllModals = () => {
+    [...modalStack].reverse().forEach(entry => {
+        entry.onClose();
+        closeModal(entry.modal);
+    });
+};
+
+/**
+ * Check whether any modal is open
+ * Modeless popups (e.g. notices) don't count, the page stays usable under them
+ * @return {boolean} True if a modal is open
+ */
+export const isModalOpen = () => getFocusedEntry() !== undefined;
+
+/**
+ * Check whether a modal is the top one (the one receiving keys)
+ * Modeless popups above it don't count, keys still go to the modal with focus
+ * @param {HTMLElement} modal - .modal element
+ * @return {boolean} True if it is open and on top
+ */
+export const isTopModal = (modal) => {
+    const top = getFocusedEntry();
+    return top !== undefined && top.modal === modal;
+};
+
+/**
+ * Get the top modal that took focus (modeless popups above it don't count)
+ * @return {object|undefined} Stack entry, undefined if there is none
+ */
+const getFocusedEntry = () => {
+    return [...modalStack].reverse().find(entry => !entry.isModeless);
+};
+
+/**
+ * Give the dialog box of a modal its ARIA role, aria-modal and accessible name
+ * The name is the modal's heading, or the given label if it has none
+ * @param {HTMLElement} modal - .modal element
+ * @param {string} role - 'dialog' or 'alertdialog'
+ * @param {string|undefined} label - Accessible name for modals without a heading
+ * @param {boolean} isModeless - Whether the rest of the page stays usable
+ */
+const setDialogAttributes = (modal, role, label, isModeless) => {
+    const dialog = modal.querySelector('.modal-content') || modal;
+    dialog.setAttribute('role', role);
+    dialog.setAttribute('aria-modal', isModeless ? 'false' : 'true');
+    if (!dialog.hasAttribute('tabindex')) {
+        dialog.tabIndex = -1;
+    }
+
+    const heading = dialog.querySelector('h1, h2, h3');
+    if (label || !heading) {
+        dialog.setAttribute('aria-label', label || 'Dialog');
+        return;
+    }
+    if (!heading.id) {
+        labelCount++;
+        heading.id = `modal-heading-${labelCount}`;
+    }
+    dialog.setAttribute('aria-labelledby', heading.id);
+};
+
+/**
+ * Check whether an element inside a modal is shown (modals hide parts with inline styles)
+ * @param {HTMLElement} element - Element inside the modal
+ * @param {HTMLElement} modal - .modal element
+ * @return {boolean} True if neither the element nor a parent is hidden
+ */
+const isShown = (element, modal) => {
+    for (let node = element; node && node !== modal; node = node.parentElement) {
+        if (node.hidden || node.style.display === 'none') {
+            return false;
+        }
+    }
+    return true;
+};
+
+/**
+ * Get the elements of a modal that can receive focus, in tab order
+ * @param {HTMLElement} modal - .modal element
+ * @return {Array<HTMLElement>} Focusable elements
+ */
+const getFocusable = (modal) => {
+    return [...modal.querySelectorAll(FOCUSABLE_SELECTOR)].filter(element => isShown(element, modal));
+};
+
+/**
+ * Focus an element of a modal: the given one, the first focusable one, or the dialog itself
+ * @param {HTMLElement} modal - .modal element
+ * @param {HTMLElement|null} element - Element to focus, null for the first focusable one
+ */
+const focusInitial = (modal, element) => {
+    const target = element || getFocusable(modal)[0] || modal.querySelector('.modal-content') || modal;
+    target.focus();
+};
+
+/**
+ * Return focus to an element if it can still take it
+ * Falls back to the top modal when the element is gone or outside it
+ * @param {Element|null} element - Element that had focus when the closed modal opened
+ */
+const restoreFocus = (element) => {
+    const top = getFocusedEntry();
+    const canFocus = element && element !== document.body && document.contains(element)
+        && typeof element.focus === 'function';
+
+    if (top && !(canFocus && top.modal.contains(element))) {
+        focusInitial(top.modal, null);
+    } else if (canFocus) {
+        element.focus();
+    }
+};
+
+/**
+ * Escape closes the top modal, Tab and Shift+Tab cycle through the focusable elements of the top one that took focus
+ * Escape is left to elements that handled it already (e.g. the mention popup)
+ * @param {KeyboardEvent} e - Keydown event
+ */
+const handleModalKeys = (e) => {
+    if (modalStack.length === 0) {
+        return;
+    }
+
+    if (e.key === 'Escape') {
+        const top = modalStack[modalStack.length - 1];
+        if (!e.defaultPrevented && top.isDismissible) {
+            e.preventDefault();
+            top.onClose();
+        }
+        return;
+    }
+
+    const top = getFocusedEntry();
+    if (e.key !== 'Tab' || !top) {
+        return;
+    }
+
+    const focusable = getFocusable(top.modal);
+    if (focusable.length === 0) {
+        e.preventDefault();
+        return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+
+    if (!top.modal.contains(active)) {
+        e.preventDefault();
+        first.focus();
+    } else if (e.shiftKey && (active === first || !focusable.includes(active))) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && active === last) {
+        e.preventDefault();
+        first.focus();
+    }
+};
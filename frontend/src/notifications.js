@@ -0,0 +1,192 @@
+/**
+ * Push notification module for Slackr
+ * Polls joined channels for messages posted by other users
+ * and keeps the unread counts in the channel list up to date
+ * Implements Milestone 2.6.2
+ */
+
+import { getMessages } from './api.js';
+import { getChannelList, refreshOutdatedMessages } from './store.js';
+import { NetworkError } from './errors.js';
+import { getUser } from './user_directory.js';
+import { NOTIFICATION_POLL_INTERVAL, NOTIFICATION_MAX_BACKOFF } from './config.js';
+import { getUserId, showNotice } from './helpers.js';
+import { selectChannel, getCurrentChannelId } from './channel.js';
+import { updateUnreadCount } from './unread.js';
+import { mentionsUser, mentionsToPlainText } from './formatter.js';
+import { getMessageText } from './threads.js';
+import { isDirectMessage, getChannelDisplayName } from './direct_messages.js';
+import { broadcast } from './tab_sync.js';
+
+// Polling state
+let pollTimer = null;
+let pollInterval = NOTIFICATION_POLL_INTERVAL;
+let pollSessionId = 0; // Incremented on start/stop so in-flight polls don't reschedule
+let networkFailures = 0; // Consecutive network failures, drives the backoff
+let latestSeen = {}; // channelId -> ID of the newest message already seen
+
+/**
+ * Start polling joined channels for new messages
+ * The first poll only records the newest message of each channel (no notifications)
+ * @param {number} interval - Milliseconds between polls
+ */
+export const startMessagePolling = (interval = NOTIFICATION_POLL_INTERVAL) => {
+    stopMessagePolling();
+    pollInterval = interval;
+
+    // Ask for browser notification permission (falls back to in-app notices)
+    if ('Notification' in window && Notification.permission === 'default') {
+        Notification.requestPermission();
+    }
+
+    const sessionId = pollSessionId;
+    poll(sessionId);
+};
+
+/**
+ * Stop polling and forget which messages have been seen
+ */
+export const stopMessagePolling = () => {
+    pollSessionId++;
+    clearTimeout(pollTimer);
+    pollTimer = null;
+    networkFailures = 0;
+    latestSeen = {};
+};
+
+/**
+ * Check every joined channel once, then schedule the next poll
+ * @param {number} sessionId - Polling session this poll belongs to
+ */
+const poll = (sessionId) => {
+    const userId = getUserId();
+
+    // Refreshing the store's channel list also keeps the sidebar up to date
+    getChannelList(true, false)
+        .then(channels => {
+            const joinedChannels = channels.filter(ch => ch.members.includes(userId));
+            return Promise.all(joinedChannels.map(channel => {
+                return getMessages(channel.id, 0, false)
+                    .then(messagesData => {
+                        if (sessionId === pollSessionId) {
+                            checkChannelMessages(channel, messagesData.messages, userId);
+                            updateUnreadCount(channel.id, messagesData.messages);
+                        }
+                    });
+            }));
+        })
+        .then(() => {
+            networkFailures = 0;
+            scheduleNextPoll(sessionId);
+        })
+        .catch(error => {
+            // Back off exponentially while the network is down
+            if (error instanceof NetworkError) {
+                networkFailures++;
+            }
+            scheduleNextPoll(sessionId);
+        });
+};
+
+/**
+ * Schedule the next poll, applying backoff after network failures
+ * @param {number} sessionId - Polling session the next poll belongs to
+ */
+const scheduleNextPoll = (sessionId) => {
+    // Polling was stopped (e.g. logout) while this poll was in flight
+    if (sessionId !== pollSessionId) {
+        return;
+    }
+    const delay = Math.min(pollInterval * Math.pow(2, networkFailures), NOTIFICATION_MAX_BACKOFF);
+    pollTimer = setTimeout(() => poll(sessionId), delay);
+};
+
+/**
+ * Compare a channel's newest messages against the last seen one
+ * @param {object} channel - Channel object from the channel list
+ * @param {Array} messages - Newest page of messages (newest first)
+ * @param {number} userId - Current user ID
+ */
+const checkChannelMessages = (channel, messages, userId) => {
+    if (messages.length === 0) {
+        return;
+    }
+
+    // Message IDs increase, so anything above the last seen ID is new
+    const newestId = Math.max(...messages.map(msg => msg.id));
+    const previousId = latestSeen[channel.id];
+    latestSeen[channel.id] = newestId;
+
+    // Only this (leader) tab polls: show new messages in loaded channels
+    // and let the other tabs update their unread counts and channels too
+    if (newestId !== previousId) {
+        refreshOutdatedMessages(channel.id, newestId);
+        broadcast('channel-activity', {
+            channelId: channel.id,
+            messages: messages.map(({ id, sentAt, sender }) => ({ id, sentAt, sender }))
+        });
+    }
+
+    // First time we see this channel - just record its newest message
+    if (previousId === undefined) {
+        return;
+    }
+
+    const newMessages = messages.filter(msg => msg.id > previousId && msg.sender !== userId);
+
+    // No need to notify about the channel the user is looking at
+    const isViewing = channel.id === getCurrentChannelId() && !document.hidden;
+
+    if (newMessages.length > 0 && !isViewing) {
+        notifyNewMessages(channel, newMessages);
+    }
+};
+
+/**
+ * Notify the user about new messages in a channel
+ * Uses a browser Notification if permitted, otherwise an in-app notice
+ * Direct messages and messages that @mention the current user get a dedicated title
+ * @param {object} channel - Channel object
+ * @param {Array} newMessages - New messages from other users (newest first)
+ */
+const notifyNewMessages = (channel, newMessages) => {
+    const latest = newMessages[0];
+    const preview = mentionsToPlainText(getMessageText(latest.message)) || '📷 Image';
+    const isMention = newMessages.some(msg => mentionsUser(msg.message, getUserId()));
+
+    // Background lookup: no error popup, the ID stands in for the name
+    const senderPromise = getUser(latest.sender, false)
+        .then(user => user.name || `User #${latest.sender}`)
+        .catch(() => `User #${latest.sender}`);
+
+    Promise.all([senderPromise, getChannelDisplayName(channel)])
+        .then(([senderName, channelName]) => {
+            let title = newMessages.length === 1
+                ? `${senderName} in ${channelName}`
+                : `${newMessages.length} new messages in ${channelName}`;
+            if (isDirectMessage(channel)) {
+                title = newMessages.length === 1
+                    ? `${senderName} sent you a direct message`
+                    : `${newMessages.length} new direct messages from ${channelName}`;
+            } else if (isMention && newMessages.length === 1) {
+                title = `${senderName} mentioned you in ${channelName}`;
+            } else if (isMention) {
+                title = `You were mentioned in ${channelName} (${newMessages.length} new messages)`;
+            }
+
+            if ('Notification' in window && Notification.permission === 'granted') {
+                const notification = new Notification(title, {
+                    body: newMessages.length === 1 ? preview : `${senderName}: ${preview}`,
+                    tag: `slackr-channel-${channel.id}`
+                });
+                // Clicking the notification opens the channel
+                notification.addEventListener('click', () => {
+                    window.focus();
+                    selectChannel(channel.id);
+                    notification.close();
+                });
+            } else {
+                showNotice(`${title}: ${preview}`);
+            }
+        });
+};
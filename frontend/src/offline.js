@@ -0,0 +1,128 @@
+/**
+ * Offline access module for Slackr
+ * Caches the latest channel data in localStorage and tracks connection state
+ * Implements Milestone 2.7.1
+ */
+
+// Error shown when the user tries to change anything while offline
+export const OFFLINE_ERROR = 'You are offline. This action is unavailable until your connection is restored.';
+
+// localStorage keys for cached data
+const CACHE_CHANNELS_KEY = 'slackr-cache-channels';
+const CACHE_CHANNEL_KEY = 'slackr-cache-channel';
+const CACHE_MESSAGES_KEY = 'slackr-cache-messages';
+
+let isOffline = false;
+const restoreCallbacks = []; // Called when the connection comes back
+
+/**
+ * Check whether the app is currently in offline mode
+ * @return {boolean} True if the last request failed to reach the backend
+ */
+export const isOfflineMode = () => isOffline || navigator.onLine === false;
+
+/**
+ * Enter or leave offline mode and toggle the offline banner
+ * @param {boolean} offline - Whether the backend is unreachable
+ */
+export const setOfflineMode = (offline) => {
+    const wasOffline = isOffline;
+    isOffline = offline;
+
+    const banner = document.getElementById('offline-banner');
+    if (banner) {
+        banner.style.display = offline ? 'block' : 'none';
+    }
+
+    // Connection restored - let views refresh their cached content
+    if (wasOffline && !offline) {
+        restoreCallbacks.forEach(callback => callback());
+    }
+};
+
+/**
+ * Register a callback to run when the connection is restored
+ * @param {Function} callback - Callback function
+ */
+export const onConnectionRestored = (callback) => {
+    restoreCallbacks.push(callback);
+};
+
+/**
+ * Write a value to localStorage as JSON
+ * Ignores quota errors (e.g. channels with many large images)
+ * @param {string} key - localStorage key
+ * @param {any} value - Value to store
+ */
+const writeCache = (key, value) => {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+        console.error(`Failed to cache ${key}:`, error);
+    }
+};
+
+/**
+ * Read a JSON value from localStorage
+ * @param {string} key - localStorage key
+ * @return {any} Parsed value or null if missing/corrupt
+ */
+const readCache = (key) => {
+    try {
+        return JSON.parse(localStorage.getItem(key));
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Cache the channel list
+ * @param {Array} channels - Array of channel objects
+ */
+export const cacheChannels = (channels) => writeCache(CACHE_CHANNELS_KEY, channels);
+
+/**
+ * Get the cached channel list
+ * @return {Array|null} Cached channels or null
+ */
+export const getCachedChannels = () => readCache(CACHE_CHANNELS_KEY);
+
+/**
+ * Cache the details of the most recently opened channel
+ * @param {object} channelData - Channel details (including id)
+ */
+export const cacheChannelDetails = (channelData) => writeCache(CACHE_CHANNEL_KEY, channelData);
+
+/**
+ * Get the cached details of the most recently opened channel
+ * @return {object|null} Cached channel details or null
+ */
+export const getCachedChannelDetails = () => readCache(CACHE_CHANNEL_KEY);
+
+/**
+ * Cache the newest messages of the most recently opened channel
+ * @param {number} channelId - Channel ID
+ * @param {Array} messages - Array of message objects
+ */
+export const cacheMessages = (channelId, messages) => {
+    writeCache(CACHE_MESSAGES_KEY, { channelId, messages });
+};
+
+/**
+ * Get the cached messages for a channel
+ * @param {number} channelId - Channel ID
+ * @return {Array|null} Cached messages or null if another channel is cached
+ */
+export const getCachedMessages = (channelId) => {
+    const cached = readCache(CACHE_MESSAGES_KEY);
+    return cached && cached.channelId === channelId ? cached.messages : null;
+};
+
+/**
+ * Remove all cached data (on logout)
+ */
+export const clearOfflineCache = () => {
+    localStorage.removeItem(CACHE_CHANNELS_KEY);
+    localStorage.removeItem(CACHE_CHANNEL_KEY);
+    localStorage.removeItem(CACHE_MESSAGES_KEY);
+};
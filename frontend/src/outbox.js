@@ -0,0 +1,102 @@
+/**
+ * Message outbox for Slackr
+ * Keeps messages that have not reached the backend yet in localStorage,
+ * so they survive a reload and can be sent once the connection is back
+ *
+ * The outbox is shared by every tab of the user: a tab claims a message
+ * before sending it, so other tabs neither send it again nor show it as failed
+ */
+
+import { getUserId } from './helpers.js';
+import { OUTBOX_CLAIM_LEASE } from './config.js';
+
+/**
+ * Get the localStorage key for the current user's outbox
+ * @return {string} localStorage key
+ */
+const getOutboxKey = () => `slackr-outbox-${getUserId()}`;
+
+/**
+ * Get all unsent messages of the current user (oldest first)
+ * @return {Array} Pending messages, each with its channelId
+ */
+export const getOutbox = () => {
+    try {
+        return JSON.parse(localStorage.getItem(getOutboxKey())) || [];
+    } catch (error) {
+        return [];
+    }
+};
+
+/**
+ * Write the outbox to localStorage
+ * Ignores quota errors (e.g. large images): the message is still sent, it just won't survive a reload
+ * @param {Array} entries - Pending messages
+ * @return {boolean} True if the outbox was saved
+ */
+const saveOutbox = (entries) => {
+    try {
+        localStorage.setItem(getOutboxKey(), JSON.stringify(entries));
+        return true;
+    } catch (error) {
+        console.error('Failed to save outbox:', error);
+        return false;
+    }
+};
+
+/**
+ * Add a message to the outbox
+ * @param {number} channelId - Channel the message is sent to
+ * @param {object} message - Pending message
+ */
+export const addToOutbox = (channelId, message) => {
+    saveOutbox(getOutbox().concat({ ...message, channelId }));
+};
+
+/**
+ * Remove a message from the outbox (once sent or discarded)
+ * @param {string} messageId - Pending message ID
+ */
+export const removeFromOutbox = (messageId) => {
+    saveOutbox(getOutbox().filter(entry => entry.id !== messageId));
+};
+
+/**
+ * Check whether a tab is sending an outbox message (claims of closed tabs expire)
+ * @param {object} entry - Outbox entry
+ * @return {boolean} True if the message is claimed
+ */
+export const isClaimed = (entry) => Boolean(entry.sendingBy) && entry.sendingUntil > Date.now();
+
+/**
+ * Claim an outbox message for sending
+ * Two tabs claiming at once both write, only the one whose claim is read back sends it
+ * @param {string} messageId - Pending message ID
+ * @param {string} owner - ID of the claiming tab
+ * @return {boolean} True if the caller may send the message
+ */
+export const claimOutboxEntry = (messageId, owner) => {
+    const entry = getOutbox().find(msg => msg.id === messageId);
+    // Messages that did not fit in storage only exist in this tab
+    if (!entry) {
+        return true;
+    }
+    if (isClaimed(entry)) {
+        return false;
+    }
+
+    const claim = { sendingBy: owner, sendingUntil: Date.now() + OUTBOX_CLAIM_LEASE };
+    if (!saveOutbox(getOutbox().map(msg => (msg.id === messageId ? { ...msg, ...claim } : msg)))) {
+        return true;
+    }
+    const claimed = getOutbox().find(msg => msg.id === messageId);
+    return Boolean(claimed) && claimed.sendingBy === owner;
+};
+
+/**
+ * Give up the claim on an outbox message (sending failed)
+ * @param {string} messageId - Pending message ID
+ */
+export const releaseOutboxEntry = (messageId) => {
+    saveOutbox(getOutbox().map(msg => (msg.id === messageId ? { ...msg, sendingBy: null, sendingUntil: null } : msg)));
+};
@@ -0,0 +1,122 @@
+/**
+ * Fragment based URL routing for Slackr
+ * Keeps the URL hash in sync with the current screen
+ * Implements Milestone 2.7.2
+ *
+ * Supported routes:
+ *   #channel={channelId} - single channel screen
+ *   #profile             - own profile
+ *   #profile={userId}    - another user's profile
+ */
+
+// Screen handlers registered by main.js (avoids circular imports with the view modules)
+let routeHandlers = null;
+
+// Route of the screen underneath profile modals (channel screen or home)
+let baseRoute = '';
+
+/**
+ * Parse a URL hash into a route object
+ * @param {string} hash - URL hash (e.g. '#channel=3')
+ * @return {object} Route { type: 'channel'|'profile'|'home', id: number|null }
+ */
+const parseRoute = (hash) => {
+    const channelMatch = hash.match(/^#channel=(\d+)$/);
+    if (channelMatch) {
+        return { type: 'channel', id: parseInt(channelMatch[1]) };
+    }
+
+    const profileMatch = hash.match(/^#profile(?:=(\d+))?$/);
+    if (profileMatch) {
+        return { type: 'profile', id: profileMatch[1] ? parseInt(profileMatch[1]) : null };
+    }
+
+    return { type: 'home', id: null };
+};
+
+/**
+ * Push a new history entry for a hash, unless the URL already shows it
+ * pushState does not fire popstate, so the route is not handled twice
+ * @param {string} hash - URL hash, or '' for the home screen
+ */
+const navigate = (hash) => {
+    if (window.location.hash === hash) {
+        return;
+    }
+    history.pushState(null, '', hash || `${window.location.pathname}${window.location.search}`);
+};
+
+/**
+ * Initialise the router with the screen handlers
+ * Back/forward buttons and manual hash edits are handled via popstate
+ * @param {object} handlers - { selectChannel, deselectChannel, getCurrentChannelId,
+ *     showOwnProfile, showUserProfile, closeProfiles, isLoggedIn }
+ */
+export const initRouter = (handlers) => {
+    routeHandlers = handlers;
+    window.addEventListener('popstate', applyCurrentRoute);
+};
+
+/**
+ * Show the screen matching the current URL hash
+ * Called on popstate and once the dashboard has loaded (login or page reload)
+ */
+export const applyCurrentRoute = () => {
+    if (!routeHandlers || !routeHandlers.isLoggedIn()) {
+        return;
+    }
+
+    const route = parseRoute(window.location.hash);
+
+    if (route.type === 'profile') {
+        if (route.id === null) {
+            routeHandlers.showOwnProfile();
+        } else {
+            routeHandlers.showUserProfile(route.id);
+        }
+        return;
+    }
+
+    routeHandlers.closeProfiles();
+
+    if (route.type === 'channel') {
+        // Don't reload the channel when only a profile on top of it was closed
+        if (route.id !== routeHandlers.getCurrentChannelId()) {
+            routeHandlers.selectChannel(route.id);
+        }
+    } else {
+        routeHandlers.deselectChannel();
+    }
+};
+
+/**
+ * Update the URL for the channel screen
+ * @param {number|null} channelId - Selected channel ID, or null for the home screen
+ */
+export const routeToChannel = (channelId) => {
+    baseRoute = channelId === null ? '' : `#channel=${channelId}`;
+    navigate(baseRoute);
+};
+
+/**
+ * Update the URL for a profile
+ * @param {number|null} userId - User ID, or null for the user's own profile
+ */
+export const routeToProfile = (userId = null) => {
+    navigate(userId === null ? '#profile' : `#profile=${userId}`);
+};
+
+/**
+ * Return the URL to the screen underneath after a profile is closed
+ */
+export const closeProfileRoute = () => {
+    navigate(baseRoute);
+};
+
+/**
+ * Clear the route without adding a history entry (on logout)
+ */
+export const clearRoute = () => {
+    baseRoute = '';
+    history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+};
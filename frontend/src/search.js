@@ -0,0 +1,338 @@
+/**
+ * Message search module for Slackr
+ * Builds an in-browser index of every message in the user's joined channels
+ * and searches it by text, sender name and date range
+ * Once built, the index is only topped up with new messages; Refresh Index rebuilds it
+ */
+
+import { getMessages, getAllMessages } from './api.js';
+import { getChannelList } from './store.js';
+import { getUser } from './user_directory.js';
+import { getUserId, formatTimestamp } from './helpers.js';
+import { selectChannel, getCurrentChannelId } from './channel.js';
+import { jumpToMessage } from './channel_messages.js';
+import { mentionsToPlainText } from './formatter.js';
+import { getMessageText } from './threads.js';
+import { getChannelDisplayName } from './direct_messages.js';
+import { openModal, closeModal } from './modal.js';
+
+const MAX_RESULTS = 200; // Limit rendered results to keep the panel responsive
+
+// Search index state
+let searchIndex = null; // Array of indexed messages, null until built
+let indexPromise = null; // In-flight index build, shared by concurrent callers
+let indexBuildId = 0; // Incremented on reset to discard builds of a previous session
+let isInitialized = false; // Flag to prevent duplicate event listener registration
+
+/**
+ * Initialize search panel event listeners
+ */
+export const initSearch = () => {
+    if (isInitialized) {
+        return;
+    }
+    isInitialized = true;
+
+    const modal = document.getElementById('search-panel');
+
+    document.getElementById('search-button').addEventListener('click', showSearchPanel);
+    document.getElementById('search-close').addEventListener('click', hideSearchPanel);
+    document.getElementById('search-refresh').addEventListener('click', () => {
+        searchIndex = null;
+        buildIndex();
+    });
+
+    // Re-run the search whenever a filter changes
+    ['search-text', 'search-sender', 'search-date-from', 'search-date-to'].forEach(id => {
+        document.getElementById(id).addEventListener('input', runSearch);
+    });
+
+    // Click outside to close
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            hideSearchPanel();
+        }
+    });
+};
+
+/**
+ * Drop the search index (on logout)
+ */
+export const resetSearchIndex = () => {
+    searchIndex = null;
+    indexPromise = null;
+    indexBuildId++;
+};
+
+/**
+ * Get the search index, building it on first use and adding new messages afterwards
+ * Also used by the mentions view
+ * @param {boolean} forceRefresh - Rebuild from the full history even if an index exists
+ * @return {Promise<Array|null>} Promise resolving to the index, or null if building failed
+ */
+export const loadSearchIndex = (forceRefresh = false) => {
+    if (forceRefresh) {
+        searchIndex = null;
+    }
+    return buildIndex(searchIndex);
+};
+
+/**
+ * Show the search panel, building the index on first use
+ * An existing index is searched right away and then topped up with new messages
+ */
+export const showSearchPanel = () => {
+    openModal(document.getElementById('search-panel'), {
+        onClose: hideSearchPanel,
+        initialFocus: document.getElementById('search-text')
+    });
+
+    runSearch();
+    buildIndex(searchIndex);
+};
+
+/**
+ * Hide the search panel
+ */
+const hideSearchPanel = () => {
+    closeModal(document.getElementById('search-panel'));
+};
+
+/**
+ * Set the status line of the search panel
+ * @param {string} text - Status text
+ */
+const setStatus = (text) => {
+    document.getElementById('search-status').textContent = text;
+};
+
+/**
+ * Build the search index from the full history of every joined channel,
+ * or add the messages sent since an existing index was built
+ * Only messages newer than a channel's newest indexed one are fetched, so edits and
+ * deletions of older messages show up after a full rebuild (Refresh Index)
+ * @param {Array|null} previousIndex - Index to top up, null to build from scratch
+ * @return {Promise<Array>} Promise resolving to the index
+ */
+const buildIndex = (previousIndex = null) => {
+    if (indexPromise) {
+        return indexPromise;
+    }
+
+    const userId = getUserId();
+    const buildId = indexBuildId;
+    let keptEntries = [];
+    if (!previousIndex) {
+        setStatus('Indexing messages...');
+    }
+
+    indexPromise = getChannelList(true)
+        .then(channels => {
+            const joinedChannels = channels.filter(ch => ch.members.includes(userId));
+            let indexedCount = 0;
+
+            // Channels left since the last build drop out of the index
+            keptEntries = (previousIndex || [])
+                .filter(entry => joinedChannels.some(ch => ch.id === entry.channelId));
+
+            return Promise.all(joinedChannels.map(channel => {
+                const messagesPromise = previousIndex
+                    ? getNewMessages(channel.id, getNewestIndexedId(previousIndex, channel.id))
+                    : getAllMessages(channel.id);
+
+                // Direct messages are listed under the other user's name
+                return Promise.all([messagesPromise, getChannelDisplayName(channel)])
+                    .then(([messages, channelName]) => {
+                        indexedCount++;
+                        if (!previousIndex) {
+                            setStatus(`Indexing messages... (${indexedCount}/${joinedChannels.length} channels)`);
+                        }
+                        return messages.map(msg => ({ msg, channel, channelName }));
+                    });
+            }));
+        })
+        .then(perChannel => {
+            const entries = [].concat(...perChannel);
+            return resolveSenderNames(entries)
+                .then(names => entries.map(({ msg, channel, channelName }) => ({
+                    channelId: channel.id,
+                    channelName,
+                    messageId: msg.id,
+                    rawText: msg.message || '', // Keeps mention tokens (user IDs)
+                    text: mentionsToPlainText(getMessageText(msg.message)),
+                    hasImage: !!msg.image,
+                    senderName: names[msg.sender],
+                    sentAt: msg.sentAt
+                })));
+        })
+        .then(newEntries => {
+            // Logged out meanwhile: the index belongs to the previous user
+            if (buildId !== indexBuildId) {
+                return null;
+            }
+
+            // Newest first across all channels
+            const index = newEntries.concat(keptEntries);
+            index.sort((a, b) => new Date(b.sentAt) - new Date(a.sentAt));
+            searchIndex = index;
+            indexPromise = null;
+            runSearch();
+            return index;
+        })
+        .catch(error => {
+            console.error('Failed to build search index:', error);
+            if (buildId !== indexBuildId) {
+                return null;
+            }
+            indexPromise = null;
+            // Adding new messages failed: the existing index is still usable
+            if (previousIndex) {
+                return previousIndex;
+            }
+            setStatus('Failed to index messages. Try refreshing.');
+            return null;
+        });
+
+    return indexPromise;
+};
+
+/**
+ * Get the ID of the newest indexed message of a channel
+ * @param {Array} index - Search index
+ * @param {number} channelId - Channel ID
+ * @return {number} Message ID, 0 if the channel has no indexed messages
+ */
+const getNewestIndexedId = (index, channelId) => {
+    return index.reduce((newestId, entry) => {
+        return entry.channelId === channelId && entry.messageId > newestId ? entry.messageId : newestId;
+    }, 0);
+};
+
+/**
+ * Fetch the messages of a channel newer than a given one, page by page from the newest
+ * Message IDs increase, so paging stops at the first page that reaches the given message
+ * @param {number} channelId - Channel ID
+ * @param {number} afterId - ID of the newest message already indexed (0 for all messages)
+ * @param {number} start - Offset of the page to request
+ * @param {Array} collected - Messages collected so far (newest first)
+ * @return {Promise<Array>} Promise resolving to the new messages (newest first)
+ */
+const getNewMessages = (channelId, afterId, start = 0, collected = []) => {
+    return getMessages(channelId, start)
+        .then(data => {
+            const newMessages = data.messages.filter(msg => msg.id > afterId);
+            const allMessages = collected.concat(newMessages);
+            if (data.messages.length === 0 || newMessages.length < data.messages.length) {
+                return allMessages;
+            }
+            return getNewMessages(channelId, afterId, start + data.messages.length, allMessages);
+        });
+};
+
+/**
+ * Fetch the names of all senders in the index (one request per uncached sender)
+ * @param {Array} entries - Array of { msg, channel }
+ * @return {Promise<object>} Promise resolving to senderId -> name
+ */
+const resolveSenderNames = (entries) => {
+    const senderIds = [...new Set(entries.map(({ msg }) => msg.sender))];
+
+    return Promise.all(senderIds.map(senderId => {
+        return getUser(senderId)
+            .then(user => user.name || `User #${senderId}`)
+            .catch(() => `User #${senderId}`);
+    }))
+        .then(names => {
+            const nameMap = {};
+            senderIds.forEach((senderId, i) => {
+                nameMap[senderId] = names[i];
+            });
+            return nameMap;
+        });
+};
+
+/**
+ * Filter the index with the current panel inputs and render the results
+ * Text matches when every word appears in the message (case-insensitive)
+ */
+const runSearch = () => {
+    if (!searchIndex) {
+        return;
+    }
+
+    const words = document.getElementById('search-text').value.trim().toLowerCase().split(/\s+/).filter(Boolean);
+    const sender = document.getElementById('search-sender').value.trim().toLowerCase();
+    const dateFrom = document.getElementById('search-date-from').value;
+    const dateTo = document.getElementById('search-date-to').value;
+
+    // Date inputs are local dates, cover the whole "to" day
+    const fromTime = dateFrom ? new Date(`${dateFrom}T00:00:00`) : null;
+    const toTime = dateTo ? new Date(`${dateTo}T23:59:59.999`) : null;
+
+    const hasFilter = words.length > 0 || sender || fromTime || toTime;
+    if (!hasFilter) {
+        renderResults([]);
+        setStatus(`${searchIndex.length} messages indexed. Type to search.`);
+        return;
+    }
+
+    const results = searchIndex.filter(entry => {
+        const text = entry.text.toLowerCase();
+        const sentAt = new Date(entry.sentAt);
+        return words.every(word => text.includes(word)) &&
+               (!sender || entry.senderName.toLowerCase().includes(sender)) &&
+               (!fromTime || sentAt >= fromTime) &&
+               (!toTime || sentAt <= toTime);
+    });
+
+    renderResults(results.slice(0, MAX_RESULTS));
+    setStatus(results.length > MAX_RESULTS
+        ? `Showing the newest ${MAX_RESULTS} of ${results.length} results`
+        : `${results.length} result${results.length === 1 ? '' : 's'}`);
+};
+
+/**
+ * Render search results
+ * @param {Array} results - Matching index entries
+ */
+const renderResults = (results) => {
+    const list = document.getElementById('search-results');
+    list.textContent = '';
+
+    results.forEach(entry => {
+        list.appendChild(createResultElement(entry, hideSearchPanel));
+    });
+};
+
+/**
+ * Create a result item that opens the channel scrolled to the message
+ * @param {object} entry - Index entry
+ * @param {Function} onOpen - Called before navigating (e.g. to close the panel)
+ * @return {HTMLElement} Result element
+ */
+export const createResultElement = (entry, onOpen) => {
+    const item = document.createElement('div');
+    item.className = 'search-result';
+
+    const meta = document.createElement('div');
+    meta.className = 'search-result-meta';
+    meta.textContent = `${entry.channelName} · ${entry.senderName} · ${formatTimestamp(entry.sentAt)}`;
+
+    const text = document.createElement('p');
+    text.className = 'search-result-text';
+    text.textContent = entry.text || (entry.hasImage ? '📷 Image' : '');
+
+    item.appendChild(meta);
+    item.appendChild(text);
+
+    // Open the channel scrolled to the message
+    item.addEventListener('click', () => {
+        onOpen();
+        if (getCurrentChannelId() !== entry.channelId) {
+            selectChannel(entry.channelId);
+        }
+        jumpToMessage(entry.channelId, entry.messageId);
+    });
+
+    return item;
+};
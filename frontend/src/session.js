@@ -0,0 +1,191 @@
+/**
+ * Session handling for Slackr
+ * Logs the user in, notices when the token stops working mid-session and
+ * asks for the password again (re-login modal) so failed requests can be
+ * replayed, and follows logins and logouts of other tabs
+ */
+
+import { BACKEND_URL } from './config.js';
+import { login } from './api.js';
+import { getToken, setToken, getUserId, setUserId, showError } from './helpers.js';
+import { peekUser } from './user_directory.js';
+import { openModal, closeModal } from './modal.js';
+
+// localStorage keys of the session (see helpers.js)
+const TOKEN_KEY = 'slackr-token';
+const USER_ID_KEY = 'slackr-user-id';
+
+let sessionHandlers = null; // { logout, signIn, signOut } from initSession
+let sessionCheck = null; // In-flight recovery, shared by requests failing at the same time
+let relogin = null; // { resolve, reject, userId } while the re-login modal is open
+let isInitialized = false; // Flag to prevent duplicate event listener registration
+
+/**
+ * Set up the re-login modal and cross-tab sign-out (once)
+ * @param {object} handlers - { logout, signIn, signOut }: logout ends the session (like the
+ *                            logout button), signIn/signOut follow another tab's login/logout
+ */
+export const initSession = (handlers) => {
+    sessionHandlers = handlers;
+    if (isInitialized) {
+        return;
+    }
+    isInitialized = true;
+
+    document.getElementById('relogin-form').addEventListener('submit', handleRelogin);
+    document.getElementById('relogin-logout').addEventListener('click', () => {
+        finishRelogin(false);
+        sessionHandlers.logout();
+    });
+
+    // Another tab logged out (token removed) or logged in again (token replaced)
+    window.addEventListener('storage', (e) => {
+        if (e.key === TOKEN_KEY && !e.newValue) {
+            finishRelogin(false);
+            sessionHandlers.signOut();
+        } else if (e.key === TOKEN_KEY && relogin) {
+            // Logged in again over there: carry on, unless it is someone else now
+            if (getUserId() !== relogin.userId) {
+                window.location.reload();
+                return;
+            }
+            finishRelogin(true);
+        } else if (e.key === USER_ID_KEY && e.newValue && !relogin) {
+            // The user ID is stored after the token, so the session is complete now
+            sessionHandlers.signIn();
+        }
+    });
+};
+
+/**
+ * Log in and store the session
+ * Used by the login form and the re-login modal
+ * @param {string} email - Email
+ * @param {string} password - Password
+ * @return {Promise<object>} Promise resolving to { token, userId }
+ */
+export const logIn = (email, password) => {
+    return login(email, password)
+        .then(data => {
+            setToken(data.token);
+            setUserId(data.userId);
+            return data;
+        });
+};
+
+/**
+ * Check whether the stored token is still accepted by the backend
+ * Only 401/403 reject the token, other failures (e.g. a 5xx) don't end the session
+ * @return {Promise<boolean>} Promise resolving to true if it is, rejecting if the backend is unreachable
+ */
+export const checkToken = () => {
+    return fetch(`${BACKEND_URL}/channel`, {
+        method: 'GET',
+        headers: {
+            'Authorization': `Bearer ${getToken()}`
+        }
+    })
+    .then(response => response.status !== 401 && response.status !== 403);
+};
+
+/**
+ * Handle a request rejected with an AuthError
+ * 403 is also returned for missing permissions, so the token is checked first;
+ * if it no longer works the re-login modal is shown
+ * @return {Promise<boolean>} Promise resolving to true once the user logged in again (replay the request),
+ *                            false if the session is fine (a real permission error); rejects if the user logged out
+ */
+export const recoverSession = () => {
+    if (!getToken()) {
+        return Promise.resolve(false);
+    }
+
+    if (!sessionCheck) {
+        sessionCheck = checkToken()
+            .catch(() => true) // Backend unreachable: nothing to recover
+            .then(isValid => (isValid ? false : waitForRelogin()))
+            .then(restored => {
+                sessionCheck = null;
+                return restored;
+            }, error => {
+                sessionCheck = null;
+                return Promise.reject(error);
+            });
+    }
+    return sessionCheck;
+};
+
+/**
+ * Show the re-login modal over the current screen
+ * @return {Promise<boolean>} Promise resolving to true after logging in again, rejecting on logout
+ */
+const waitForRelogin = () => {
+    const modal = document.getElementById('relogin-modal');
+    const currentUser = peekUser(getUserId());
+    document.getElementById('relogin-email').value = currentUser ? currentUser.email : '';
+    document.getElementById('relogin-password').value = '';
+
+    // Logging in again (or out) is the only way to leave, so Escape does not close it
+    openModal(modal, {
+        isDismissible: false,
+        initialFocus: document.getElementById(currentUser ? 'relogin-password' : 'relogin-email')
+    });
+
+    return new Promise((resolve, reject) => {
+        relogin = { resolve, reject, userId: getUserId() };
+    });
+};
+
+/**
+ * Close the re-login modal and settle the requests waiting for it
+ * @param {boolean} restored - Whether the user is logged in again
+ */
+const finishRelogin = (restored) => {
+    if (!relogin) {
+        return;
+    }
+    closeModal(document.getElementById('relogin-modal'));
+    document.getElementById('relogin-password').value = '';
+
+    if (restored) {
+        relogin.resolve(true);
+    } else {
+        relogin.reject(new Error('Logged out'));
+    }
+    relogin = null;
+};
+
+/**
+ * Handle re-login form submission
+ * Logging in as someone else starts over, the open screen belongs to the previous user
+ * @param {Event} event - The form submit event
+ */
+const handleRelogin = (event) => {
+    event.preventDefault();
+
+    const email = document.getElementById('relogin-email').value.trim();
+    const password = document.getElementById('relogin-password').value;
+    // Validate input (same as the login form)
+    if (!email) {
+        showError('Email is required');
+        return;
+    }
+    if (!password) {
+        showError('Password is required');
+        return;
+    }
+
+    const previousUserId = getUserId();
+    logIn(email, password)
+        .then(data => {
+            if (data.userId !== previousUserId) {
+                window.location.reload();
+                return;
+            }
+            finishRelogin(true);
+        })
+        .catch(error => {
+            // Error already displayed by the global error handler
+            console.error('Re-login error:', error);
+        });
+};
@@ -0,0 +1,234 @@
+/**
+ * Keyboard shortcuts for Slackr
+ * A global shortcut layer, the Ctrl+K command palette and a "?" cheat sheet
+ * Alt shortcuts match the physical key (e.code), because Alt+letter types
+ * special characters on some keyboard layouts
+ */
+
+import { showNotice } from './helpers.js';
+import { showOwnProfile } from './user_profile.js';
+import {
+    showCreateChannelModal,
+    showCurrentChannelInvite,
+    showCurrentChannelPins,
+    selectAdjacentChannel
+} from './channel.js';
+import { editLastMessage } from './channel_messages.js';
+import { showChannelBrowser } from './channel_browser.js';
+import { showSearchPanel } from './search.js';
+import { showMentionsPanel } from './mentions.js';
+import { openCommandPalette, closeCommandPalette, isCommandPaletteOpen } from './command_palette.js';
+import { openModal, closeModal, isModalOpen } from './modal.js';
+
+let isLoggedIn = null; // Returns whether the dashboard is shown
+let isInitialized = false; // Flag to prevent duplicate event listener registration
+
+/**
+ * Check whether a keydown has only the given modifier (Ctrl or Cmd count as one)
+ * @param {KeyboardEvent} e - Keydown event
+ * @param {string} modifier - 'mod' (Ctrl/Cmd), 'alt' or 'none'
+ * @return {boolean} True if exactly that modifier is held
+ */
+const hasModifier = (e, modifier) => {
+    const isMod = e.ctrlKey || e.metaKey;
+    if (modifier === 'mod') {
+        return isMod && !e.altKey && !e.shiftKey;
+    }
+    if (modifier === 'alt') {
+        return e.altKey && !isMod && !e.shiftKey;
+    }
+    return !isMod && !e.altKey;
+};
+
+/**
+ * Run an action of the open channel, telling the user when there is none it applies to
+ * @param {Function} action - Returns false if it could not run
+ */
+const requireChannel = (action) => {
+    if (!action()) {
+        showNotice('Open a channel you have joined first');
+    }
+};
+
+// Global shortcuts, in the order the cheat sheet lists them
+// inInputs: also works while typing, inModals: also works while a modal is open
+const SHORTCUTS = [
+    {
+        keys: 'Ctrl+K',
+        description: 'Open the command palette',
+        matches: e => hasModifier(e, 'mod') && e.code === 'KeyK',
+        run: () => toggleCommandPalette(),
+        inInputs: true,
+        inModals: true
+    },
+    {
+        keys: 'Alt+↑',
+        description: 'Previous channel',
+        matches: e => hasModifier(e, 'alt') && e.key === 'ArrowUp',
+        run: () => selectAdjacentChannel(-1),
+        inInputs: true
+    },
+    {
+        keys: 'Alt+↓',
+        description: 'Next channel',
+        matches: e => hasModifier(e, 'alt') && e.key === 'ArrowDown',
+        run: () => selectAdjacentChannel(1),
+        inInputs: true
+    },
+    {
+        keys: '↑',
+        description: 'Edit your last message (in an empty message box)',
+        matches: e => hasModifier(e, 'none') && !e.shiftKey && e.key === 'ArrowUp'
+            && e.target.id === 'message-input' && e.target.value === '',
+        run: () => editLastMessage(),
+        inInputs: true
+    },
+    {
+        keys: 'Alt+N',
+        description: 'Create a channel',
+        matches: e => hasModifier(e, 'alt') && e.code === 'KeyN',
+        run: () => showCreateChannelModal(),
+        inInputs: true
+    },
+    {
+        keys: 'Alt+I',
+        description: 'Invite users to this channel',
+        matches: e => hasModifier(e, 'alt') && e.code === 'KeyI',
+        run: () => requireChannel(showCurrentChannelInvite),
+        inInputs: true
+    },
+    {
+        keys: 'Alt+P',
+        description: 'View pinned messages',
+        matches: e => hasModifier(e, 'alt') && e.code === 'KeyP',
+        run: () => requireChannel(showCurrentChannelPins),
+        inInputs: true
+    },
+    {
+        keys: 'Alt+M',
+        description: 'My profile',
+        matches: e => hasModifier(e, 'alt') && e.code === 'KeyM',
+        run: () => showOwnProfile(),
+        inInputs: true
+    },
+    {
+        keys: '?',
+        description: 'Show keyboard shortcuts',
+        matches: e => !e.ctrlKey && !e.metaKey && !e.altKey && e.key === '?',
+        run: () => showShortcutsHelp()
+    }
+];
+
+// Commands offered in the command palette besides the channels
+const PALETTE_COMMANDS = [
+    { label: 'Create a channel', hint: 'Alt+N', run: () => showCreateChannelModal() },
+    { label: 'Browse channels', hint: '', run: () => showChannelBrowser() },
+    { label: 'Invite users to this channel', hint: 'Alt+I', run: () => requireChannel(showCurrentChannelInvite) },
+    { label: 'View pinned messages', hint: 'Alt+P', run: () => requireChannel(showCurrentChannelPins) },
+    { label: 'Search messages', hint: '', run: () => showSearchPanel() },
+    { label: 'Mentions', hint: '', run: () => showMentionsPanel() },
+    { label: 'My profile', hint: 'Alt+M', run: () => showOwnProfile() },
+    { label: 'Keyboard shortcuts', hint: '?', run: () => showShortcutsHelp() }
+];
+
+/**
+ * Set up the global shortcut layer (once)
+ * @param {object} handlers - { isLoggedIn }, from main.js
+ */
+export const initShortcuts = (handlers) => {
+    if (isInitialized) {
+        return;
+    }
+    isInitialized = true;
+    isLoggedIn = handlers.isLoggedIn;
+
+    document.addEventListener('keydown', handleShortcut);
+
+    const help = document.getElementById('shortcuts-help');
+    document.getElementById('shortcuts-close').addEventListener('click', hideShortcutsHelp);
+    help.addEventListener('click', (e) => {
+        if (e.target === help) {
+            hideShortcutsHelp();
+        }
+    });
+    renderShortcutsHelp();
+};
+
+/**
+ * Check whether the user is typing (shortcuts without modifiers must not fire then)
+ * @param {EventTarget} target - Event target
+ * @return {boolean} True for text inputs, textareas, selects and editable content
+ */
+const isTypingTarget = (target) => {
+    return target instanceof HTMLElement
+        && (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable);
+};
+
+/**
+ * Run the shortcut matching a keydown, if any
+ * Keys already handled by an input (e.g. the mention popup) are left alone
+ * @param {KeyboardEvent} e - Keydown event
+ */
+const handleShortcut = (e) => {
+    if (e.defaultPrevented || !isLoggedIn()) {
+        return;
+    }
+
+    const shortcut = SHORTCUTS.find(item => item.matches(e));
+    if (!shortcut
+        || (isTypingTarget(e.target) && !shortcut.inInputs)
+        || (isModalOpen() && !shortcut.inModals)) {
+        return;
+    }
+
+    e.preventDefault();
+    shortcut.run();
+};
+
+/**
+ * Open the command palette, or close it if it is open
+ */
+const toggleCommandPalette = () => {
+    if (isCommandPaletteOpen()) {
+        closeCommandPalette();
+    } else if (!isModalOpen()) {
+        openCommandPalette(PALETTE_COMMANDS);
+    }
+};
+
+/**
+ * Fill the cheat sheet from the shortcut table
+ */
+const renderShortcutsHelp = () => {
+    const list = document.getElementById('shortcuts-list');
+    list.textContent = '';
+
+    SHORTCUTS.concat({ keys: 'Esc', description: 'Close the open dialog' }).forEach(shortcut => {
+        const row = document.createElement('div');
+        row.className = 'shortcut-row';
+
+        const keys = document.createElement('kbd');
+        keys.textContent = shortcut.keys;
+
+        const description = document.createElement('span');
+        description.textContent = shortcut.description;
+
+        row.appendChild(keys);
+        row.appendChild(description);
+        list.appendChild(row);
+    });
+};
+
+/**
+ * Show the keyboard shortcut cheat sheet
+ */
+const showShortcutsHelp = () => {
+    openModal(document.getElementById('shortcuts-help'), { onClose: hideShortcutsHelp });
+};
+
+/**
+ * Hide the keyboard shortcut cheat sheet
+ */
+const hideShortcutsHelp = () => {
+    closeModal(document.getElementById('shortcuts-help'));
+};
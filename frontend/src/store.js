@@ -0,0 +1,400 @@
+/**
+ * Client-side state store for Slackr
+ * Caches channels, channel details and the newest messages of each channel
+ * so views don't re-fetch everything after every action
+ * (User profiles are cached by the user directory)
+ *
+ * Message changes go through the store: send, react and pin are applied
+ * optimistically (and rolled back on failure), and subscribed views are
+ * notified so they can update the affected messages in place
+ * Messages being sent are kept in the outbox until the backend has them;
+ * those that failed stay there (marked failed) until retried or discarded
+ * Messages another tab is sending show as pending here, not as failed
+ *
+ * Topics:
+ *   'channels' - callback(channels) when the channel list changed
+ *   'messages' - callback(change) with change.type one of
+ *                'added' (pending message), 'updated', 'removed', 'refreshed'
+ *                Pending messages have pending: true, and failed: true once sending failed
+ *                'refreshed' has isOwnSend: true when this tab sent a message
+ */
+
+import {
+    getChannels,
+    getChannelDetails,
+    getMessages,
+    sendMessage,
+    pinMessage,
+    unpinMessage,
+    reactMessage,
+    unreactMessage
+} from './api.js';
+import { getUserId } from './helpers.js';
+import { NetworkError, handleError } from './errors.js';
+import {
+    getOutbox,
+    addToOutbox,
+    removeFromOutbox,
+    isClaimed,
+    claimOutboxEntry,
+    releaseOutboxEntry
+} from './outbox.js';
+import { broadcast, getTabId } from './tab_sync.js';
+
+// Cached server state
+let channelList = null; // Latest channel list
+let channelListPromise = null; // In-flight channel list request
+let channelDetails = {}; // channelId -> Promise resolving to channel details
+let newestMessages = {}; // channelId -> newest page of messages (newest first)
+let pendingMessageCount = 0; // Used to give pending messages unique IDs
+let sendingMessageIds = new Set(); // Pending messages with a request in flight from this tab
+
+const subscribers = {}; // topic -> callbacks
+
+/**
+ * Subscribe to changes of a topic
+ * @param {string} topic - 'channels' or 'messages'
+ * @param {Function} callback - Called with the change
+ * @return {Function} Unsubscribe function
+ */
+export const subscribe = (topic, callback) => {
+    if (!subscribers[topic]) {
+        subscribers[topic] = [];
+    }
+    subscribers[topic].push(callback);
+    return () => {
+        subscribers[topic] = subscribers[topic].filter(cb => cb !== callback);
+    };
+};
+
+/**
+ * Notify the subscribers of a topic
+ * @param {string} topic - Topic name
+ * @param {any} change - Value passed to the callbacks
+ */
+const notify = (topic, change) => {
+    (subscribers[topic] || []).forEach(callback => callback(change));
+};
+
+/**
+ * Drop all cached data (on logout)
+ */
+export const resetStore = () => {
+    channelList = null;
+    channelListPromise = null;
+    channelDetails = {};
+    newestMessages = {};
+    sendingMessageIds = new Set();
+};
+
+/**
+ * Get the channel list
+ * Fetching a list that differs from the cached one notifies 'channels' subscribers
+ * and drops the cached details of channels whose name or members changed
+ * @param {boolean} forceRefresh - Fetch from the backend even if a list is cached
+ * @param {boolean} showErrors - Whether to show the error popup on failure
+ * @return {Promise<Array>} Promise resolving to the channels
+ */
+export const getChannelList = (forceRefresh = false, showErrors = true) => {
+    if (channelList && !forceRefresh) {
+        return Promise.resolve(channelList);
+    }
+    if (channelListPromise) {
+        return channelListPromise;
+    }
+
+    channelListPromise = getChannels(showErrors)
+        .then(data => {
+            channelListPromise = null;
+            const previous = channelList;
+            channelList = data.channels;
+
+            if (previous && JSON.stringify(previous) === JSON.stringify(data.channels)) {
+                return channelList;
+            }
+
+            (previous || []).forEach(oldChannel => {
+                const channel = data.channels.find(ch => ch.id === oldChannel.id);
+                if (!channel || JSON.stringify(channel) !== JSON.stringify(oldChannel)) {
+                    delete channelDetails[oldChannel.id];
+                }
+            });
+            notify('channels', channelList);
+            return channelList;
+        })
+        .catch(error => {
+            channelListPromise = null;
+            return Promise.reject(error);
+        });
+    return channelListPromise;
+};
+
+/**
+ * Get the details of a channel the user is a member of
+ * @param {number} channelId - Channel ID
+ * @param {boolean} forceRefresh - Fetch from the backend even if cached
+ * @return {Promise<object>} Promise resolving to the details (including the channel's id)
+ */
+export const getChannel = (channelId, forceRefresh = false) => {
+    if (!channelDetails[channelId] || forceRefresh) {
+        channelDetails[channelId] = getChannelDetails(channelId)
+            .then(data => ({ ...data, id: channelId }))
+            .catch(error => {
+                // Allow retrying next time
+                delete channelDetails[channelId];
+                return Promise.reject(error);
+            });
+    }
+    return channelDetails[channelId];
+};
+
+/**
+ * Get the newest page of a channel as it was last fetched
+ * @param {number} channelId - Channel ID
+ * @return {Array|null} Messages (newest first), or null if never fetched
+ */
+export const peekMessages = (channelId) => newestMessages[channelId] || null;
+
+/**
+ * Fetch the newest page of a channel and cache it
+ * @param {number} channelId - Channel ID
+ * @return {Promise<Array>} Promise resolving to the messages (newest first)
+ */
+export const loadNewestMessages = (channelId) => {
+    return getMessages(channelId, 0)
+        .then(data => {
+            newestMessages[channelId] = data.messages;
+            return data.messages;
+        });
+};
+
+/**
+ * Re-fetch the newest page of a channel and let views re-render it
+ * @param {number} channelId - Channel ID
+ * @param {boolean} isOwnSend - Whether this tab just sent a message (views then scroll to it)
+ * @return {Promise<Array>} Promise resolving to the messages (newest first)
+ */
+export const refreshMessages = (channelId, isOwnSend = false) => {
+    return loadNewestMessages(channelId)
+        .then(messages => {
+            notify('messages', { type: 'refreshed', channelId, messages, isOwnSend });
+            return messages;
+        });
+};
+
+/**
+ * Re-fetch the newest page of a channel this tab has loaded if it misses a newer message
+ * Messages of other users only show up (and get announced) this way, the poller just sees them
+ * @param {number} channelId - Channel ID
+ * @param {number} newestId - ID of the channel's newest message
+ */
+export const refreshOutdatedMessages = (channelId, newestId) => {
+    const messages = newestMessages[channelId];
+    if (!messages || messages.some(msg => msg.id >= newestId)) {
+        return;
+    }
+    refreshMessages(channelId)
+        .catch(error => {
+            console.error('Failed to refresh messages:', error);
+        });
+};
+
+/**
+ * Replace a message in the cache and notify views
+ * @param {number} channelId - Channel ID
+ * @param {object} message - Updated message
+ */
+export const updateMessage = (channelId, message) => {
+    if (newestMessages[channelId]) {
+        newestMessages[channelId] = newestMessages[channelId].map(msg => (msg.id === message.id ? message : msg));
+    }
+    notify('messages', { type: 'updated', channelId, message });
+};
+
+/**
+ * Remove a message from the cache and notify views
+ * @param {number} channelId - Channel ID
+ * @param {number|string} messageId - Message ID
+ */
+export const removeMessage = (channelId, messageId) => {
+    if (newestMessages[channelId]) {
+        newestMessages[channelId] = newestMessages[channelId].filter(msg => msg.id !== messageId);
+    }
+    notify('messages', { type: 'removed', channelId, messageId });
+};
+
+/**
+ * Get the unsent messages of a channel
+ * Messages no tab is sending failed to send (or the page was reloaded meanwhile)
+ * @param {number} channelId - Channel ID
+ * @return {Array} Pending messages (oldest first)
+ */
+export const getPendingMessages = (channelId) => {
+    return getOutbox()
+        .filter(entry => entry.channelId === channelId)
+        .map(entry => ({ ...entry, failed: !sendingMessageIds.has(entry.id) && !isClaimed(entry) }));
+};
+
+/**
+ * Show the current state of a pending message, after another tab started or stopped sending it
+ * @param {number} channelId - Channel ID
+ * @param {string} messageId - Pending message ID
+ */
+export const syncPendingMessage = (channelId, messageId) => {
+    const message = getPendingMessages(channelId).find(msg => msg.id === messageId);
+    if (message) {
+        notify('messages', { type: 'updated', channelId, message });
+    }
+};
+
+/**
+ * Send a pending message from the outbox
+ * On success it leaves the outbox and the newest page is re-fetched,
+ * on failure views are told to show it as failed
+ * Messages another tab is already sending are left to that tab
+ * @param {number} channelId - Channel ID
+ * @param {object} message - Pending message
+ * @return {Promise} Promise resolving once the message was sent (or handed to another tab)
+ */
+const deliverMessage = (channelId, message) => {
+    if (!claimOutboxEntry(message.id, getTabId())) {
+        return Promise.resolve();
+    }
+    sendingMessageIds.add(message.id);
+    broadcast('outbox-changed', { channelId, messageId: message.id });
+
+    return sendMessage(channelId, message.message, message.image, false)
+        .catch(error => {
+            sendingMessageIds.delete(message.id);
+            releaseOutboxEntry(message.id);
+            broadcast('outbox-changed', { channelId, messageId: message.id });
+            // While offline the message just waits in the outbox, anything else is worth a popup
+            if (!(error instanceof NetworkError)) {
+                handleError(error);
+            }
+            notify('messages', { type: 'updated', channelId, message: { ...message, failed: true, error: error.message } });
+            return Promise.reject(error);
+        })
+        .then(() => {
+            sendingMessageIds.delete(message.id);
+            removeFromOutbox(message.id);
+            broadcast('message-sent', { channelId });
+            return refreshMessages(channelId, true);
+        });
+};
+
+/**
+ * Send a message, showing it as pending until the backend has stored it
+ * The message is kept in the outbox until then, so it survives a failure or a reload
+ * @param {number} channelId - Channel ID
+ * @param {string|null} text - Message text (null for image-only messages)
+ * @param {string|null} image - Image data URL
+ * @return {Promise} Promise resolving once the message was sent
+ */
+export const sendChannelMessage = (channelId, text, image = null) => {
+    pendingMessageCount++;
+    const pending = {
+        // Unique across reloads, the outbox may still hold older pending messages
+        id: `pending-${Date.now()}-${pendingMessageCount}`,
+        message: text,
+        image,
+        sender: getUserId(),
+        sentAt: new Date().toISOString(),
+        edited: false,
+        editedAt: null,
+        pinned: false,
+        reacts: [],
+        pending: true,
+        failed: false
+    };
+    addToOutbox(channelId, pending);
+    notify('messages', { type: 'added', channelId, message: pending });
+
+    return deliverMessage(channelId, pending);
+};
+
+/**
+ * Send a message from the outbox again
+ * @param {number} channelId - Channel ID
+ * @param {string} messageId - Pending message ID
+ * @return {Promise} Promise resolving once the message was sent
+ */
+export const retryMessage = (channelId, messageId) => {
+    const entry = getOutbox().find(msg => msg.id === messageId);
+    if (!entry || sendingMessageIds.has(messageId) || isClaimed(entry)) {
+        return Promise.resolve();
+    }
+
+    const message = { ...entry, failed: false };
+    notify('messages', { type: 'updated', channelId, message });
+    return deliverMessage(channelId, message);
+};
+
+/**
+ * Drop a message from the outbox without sending it
+ * @param {number} channelId - Channel ID
+ * @param {string} messageId - Pending message ID
+ */
+export const discardMessage = (channelId, messageId) => {
+    removeFromOutbox(messageId);
+    removeMessage(channelId, messageId);
+};
+
+/**
+ * Send every message in the outbox that is not being sent already (oldest first)
+ * Called by the leader tab when the connection comes back
+ * @return {Promise} Promise resolving once all messages were tried
+ */
+export const flushOutbox = () => {
+    return getOutbox()
+        .filter(entry => !sendingMessageIds.has(entry.id) && !isClaimed(entry))
+        .reduce((chain, entry) => {
+            return chain.then(() => retryMessage(entry.channelId, entry.id)
+                .catch(error => {
+                    console.error('Failed to send queued message:', error);
+                }));
+        }, Promise.resolve());
+};
+
+/**
+ * Add or remove the current user's reaction, updating views immediately
+ * The change is rolled back if the backend rejects it
+ * @param {number} channelId - Channel ID
+ * @param {object} message - Message as currently displayed
+ * @param {string} emoji - Reaction
+ * @return {Promise} Promise resolving once the backend confirmed the change
+ */
+export const toggleReaction = (channelId, message, emoji) => {
+    const userId = getUserId();
+    const hasReacted = message.reacts.some(react => react.user === userId && react.react === emoji);
+    const reacts = hasReacted
+        ? message.reacts.filter(react => !(react.user === userId && react.react === emoji))
+        : message.reacts.concat({ user: userId, react: emoji });
+
+    updateMessage(channelId, { ...message, reacts });
+
+    const request = hasReacted ? unreactMessage : reactMessage;
+    return request(channelId, message.id, emoji)
+        .catch(error => {
+            updateMessage(channelId, message);
+            return Promise.reject(error);
+        });
+};
+
+/**
+ * Pin or unpin a message, updating views immediately
+ * The change is rolled back if the backend rejects it
+ * @param {number} channelId - Channel ID
+ * @param {object} message - Message as currently displayed
+ * @return {Promise} Promise resolving once the backend confirmed the change
+ */
+export const togglePin = (channelId, message) => {
+    updateMessage(channelId, { ...message, pinned: !message.pinned });
+
+    const request = message.pinned ? unpinMessage : pinMessage;
+    return request(channelId, message.id)
+        .catch(error => {
+            updateMessage(channelId, message);
+            return Promise.reject(error);
+        });
+};
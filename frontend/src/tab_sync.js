@@ -0,0 +1,214 @@
+/**
+ * Multi-tab synchronization for Slackr
+ * Tabs of the same browser tell each other about sent messages, messages
+ * being sent, profile changes, channel list changes and channel activity (through a
+ * BroadcastChannel, or storage events where it is unavailable), and elect
+ * one leader tab to run the background poller
+ * Login and logout propagate through the token in localStorage (see session.js)
+ */
+
+import { TAB_LEADER_LEASE, TAB_HEARTBEAT_INTERVAL } from './config.js';
+import {
+    subscribe,
+    getChannelList,
+    peekMessages,
+    refreshMessages,
+    refreshOutdatedMessages,
+    syncPendingMessage
+} from './store.js';
+import { invalidateUser } from './user_directory.js';
+import { updateUnreadCount } from './unread.js';
+import { startMessagePolling, stopMessagePolling } from './notifications.js';
+
+const CHANNEL_NAME = 'slackr';
+const MESSAGE_KEY = 'slackr-tab-message'; // localStorage key used when BroadcastChannel is unavailable
+const LEADER_KEY = 'slackr-poller-leader'; // localStorage key of the leader's lease { tabId, expires }
+
+const tabId = `${Date.now()}-${Math.random().toString(36).slice(2)}`; // Identifies this tab
+
+let broadcastChannel = null; // BroadcastChannel, null when storage events are used instead
+let isLeader = false; // Whether this tab runs the poller
+let electionTimer = null; // Heartbeat renewing or claiming the lease
+let isSyncingChannels = false; // Set while fetching a channel list changed by another tab
+let isInitialized = false; // Flag to prevent duplicate event listener registration
+
+/**
+ * Start listening to other tabs (once)
+ */
+export const initTabSync = () => {
+    if (isInitialized) {
+        return;
+    }
+    isInitialized = true;
+
+    if ('BroadcastChannel' in window) {
+        broadcastChannel = new BroadcastChannel(CHANNEL_NAME);
+        broadcastChannel.addEventListener('message', (e) => handleTabMessage(e.data));
+    } else {
+        window.addEventListener('storage', (e) => {
+            if (e.key === MESSAGE_KEY && e.newValue) {
+                handleTabMessage(JSON.parse(e.newValue));
+            }
+        });
+    }
+
+    // Tell other tabs about channel list changes made or noticed here
+    subscribe('channels', () => {
+        if (!isSyncingChannels) {
+            broadcast('channels-changed');
+        }
+    });
+
+    // Let another tab take over the poller when this one closes
+    window.addEventListener('pagehide', stopLeaderElection);
+};
+
+/**
+ * Get the ID of this tab
+ * @return {string} Tab ID
+ */
+export const getTabId = () => tabId;
+
+/**
+ * Check whether this tab runs the poller
+ * @return {boolean} True for the leader tab
+ */
+export const isPollLeader = () => isLeader;
+
+/**
+ * Send a message to the other tabs
+ * @param {string} type - Message type (see handleTabMessage)
+ * @param {object} data - Message data
+ */
+export const broadcast = (type, data = {}) => {
+    const message = { type, data, from: tabId };
+    if (broadcastChannel) {
+        broadcastChannel.postMessage(message);
+        return;
+    }
+
+    // The timestamp makes every message a change, so a storage event always fires
+    try {
+        localStorage.setItem(MESSAGE_KEY, JSON.stringify({ ...message, sentAt: Date.now() }));
+        localStorage.removeItem(MESSAGE_KEY);
+    } catch (error) {
+        console.error('Failed to notify other tabs:', error);
+    }
+};
+
+/**
+ * Apply a message from another tab
+ * @param {object} message - { type, data, from }
+ */
+const handleTabMessage = ({ type, data, from }) => {
+    if (from === tabId) {
+        return;
+    }
+
+    switch (type) {
+    case 'message-sent':
+        // Only channels this tab has loaded need the new message
+        if (peekMessages(data.channelId)) {
+            refreshMessages(data.channelId)
+                .catch(error => {
+                    console.error('Failed to refresh messages:', error);
+                });
+        }
+        break;
+    case 'outbox-changed':
+        // Another tab started or stopped sending one of the shared outbox messages
+        syncPendingMessage(data.channelId, data.messageId);
+        break;
+    case 'profile-updated':
+        invalidateUser(data.userId);
+        break;
+    case 'channels-changed':
+        isSyncingChannels = true;
+        getChannelList(true, false)
+            .catch(error => {
+                console.error('Failed to refresh channels:', error);
+            })
+            .then(() => {
+                isSyncingChannels = false;
+            });
+        break;
+    case 'channel-activity':
+        updateUnreadCount(data.channelId, data.messages);
+        refreshOutdatedMessages(data.channelId, Math.max(...data.messages.map(msg => msg.id)));
+        break;
+    case 'leader-resigned':
+        if (electionTimer) {
+            electLeader();
+        }
+        break;
+    default:
+        break;
+    }
+};
+
+/**
+ * Read the poller lease
+ * @return {object|null} { tabId, expires } or null if no tab holds it
+ */
+const readLease = () => {
+    try {
+        return JSON.parse(localStorage.getItem(LEADER_KEY));
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Claim or renew the lease if it is free, expired or ours, then check who holds it
+ * Two tabs claiming at once both write, the later write wins at the next heartbeat
+ */
+const electLeader = () => {
+    const lease = readLease();
+    if (!lease || lease.tabId === tabId || lease.expires < Date.now()) {
+        localStorage.setItem(LEADER_KEY, JSON.stringify({ tabId, expires: Date.now() + TAB_LEADER_LEASE }));
+    }
+
+    const holder = readLease();
+    setLeader(Boolean(holder) && holder.tabId === tabId);
+};
+
+/**
+ * Start or stop the poller when this tab gains or loses leadership
+ * @param {boolean} leader - Whether this tab is the leader
+ */
+const setLeader = (leader) => {
+    if (leader === isLeader) {
+        return;
+    }
+    isLeader = leader;
+
+    if (leader) {
+        startMessagePolling();
+    } else {
+        stopMessagePolling();
+    }
+};
+
+/**
+ * Take part in the poller election (after login)
+ */
+export const startLeaderElection = () => {
+    stopLeaderElection();
+    electLeader();
+    electionTimer = setInterval(electLeader, TAB_HEARTBEAT_INTERVAL);
+};
+
+/**
+ * Leave the poller election (on logout or when the tab closes)
+ * A leader gives up its lease right away so another tab can take over
+ */
+export const stopLeaderElection = () => {
+    clearInterval(electionTimer);
+    electionTimer = null;
+
+    if (isLeader) {
+        localStorage.removeItem(LEADER_KEY);
+        broadcast('leader-resigned');
+    }
+    setLeader(false);
+};
@@ -0,0 +1,345 @@
+/**
+ * Threaded replies for Slackr
+ * The backend has no threads, so a reply is a regular message whose text
+ * starts with a reply header naming its parent: "[[reply:<parentId>]] text"
+ * Replies are hidden from the main timeline and shown in the thread panel
+ * Typed text that starts like a reply header is escaped with a backslash (see encodeMessage)
+ */
+
+import { getMessages } from './api.js';
+import { getUserId, showError } from './helpers.js';
+import { createMessageElement } from './channel_messages.js';
+import { subscribe, sendChannelMessage, getPendingMessages } from './store.js';
+import { closeMemberList } from './member_list.js';
+
+const REPLY_PATTERN = /^\[\[reply:(\d+)\]\] ?/;
+const ESCAPED_HEADER_PATTERN = /^\\*\[\[reply:\d+\]\]/; // A reply header, possibly escaped with backslashes
+
+// Thread panel state
+let threadChannelId = null; // Channel of the open thread, null when the panel is closed
+let threadParentId = null; // Parent message of the open thread
+let threadLoadId = 0; // Incremented on open/close to discard stale responses
+let threadMessages = null; // { parent, replies } as rendered, null until loaded
+let isInitialized = false; // Flag to prevent duplicate event listener registration
+
+/**
+ * Encode typed text so it is never mistaken for a reply
+ * Text that starts like a reply header (escaped or not) gets one more leading backslash
+ * @param {string} text - Typed message text
+ * @return {string} Message text to send
+ */
+export const encodeMessage = (text) => (ESCAPED_HEADER_PATTERN.test(text) ? `\\${text}` : text);
+
+/**
+ * Undo encodeMessage
+ * @param {string} text - Message text as stored
+ * @return {string} Text as it was typed
+ */
+const decodeMessage = (text) => (ESCAPED_HEADER_PATTERN.test(text) && text.startsWith('\\') ? text.slice(1) : text);
+
+/**
+ * Encode a reply so it can be sent with the regular sendMessage API
+ * @param {number} parentId - ID of the message being replied to
+ * @param {string} text - Reply text
+ * @return {string} Message text with the reply header
+ */
+export const encodeReply = (parentId, text) => `[[reply:${parentId}]] ${encodeMessage(text)}`.trimEnd();
+
+/**
+ * Parse the reply header of a message text
+ * @param {string|null} text - Message text
+ * @return {object|null} { parentId, text } for replies, null for regular messages
+ */
+export const parseReply = (text) => {
+    const match = (text || '').match(REPLY_PATTERN);
+    if (!match) {
+        return null;
+    }
+    return { parentId: parseInt(match[1]), text: text.slice(match[0].length) };
+};
+
+/**
+ * Check whether a message is a reply to a given message
+ * @param {object} msg - Message
+ * @param {number} parentId - Parent message ID
+ * @return {boolean} True if it replies to the parent
+ */
+const isReplyTo = (msg, parentId) => {
+    const reply = parseReply(msg.message);
+    return reply !== null && reply.parentId === parentId;
+};
+
+/**
+ * Get the text to display for a message (without the reply header)
+ * @param {string|null} text - Message text
+ * @return {string} Display text
+ */
+export const getMessageText = (text) => {
+    const reply = parseReply(text);
+    return decodeMessage(reply ? reply.text : (text || ''));
+};
+
+/**
+ * Open the thread panel for a message (the member panel is closed to make room)
+ * @param {number} channelId - Channel ID
+ * @param {number} parentId - Parent message ID
+ * @param {number|null} highlightId - Reply to scroll to and highlight once loaded
+ */
+export const openThread = (channelId, parentId, highlightId = null) => {
+    initThreadPanel();
+    closeMemberList();
+
+    const isSameThread = threadChannelId === channelId && threadParentId === parentId;
+    threadChannelId = channelId;
+    threadParentId = parentId;
+
+    document.getElementById('thread-panel').style.display = 'flex';
+    if (!isSameThread) {
+        document.getElementById('thread-reply-input').value = '';
+    }
+
+    loadThreadPanel(highlightId);
+    document.getElementById('thread-reply-input').focus();
+};
+
+/**
+ * Close the thread panel
+ */
+export const closeThread = () => {
+    threadChannelId = null;
+    threadParentId = null;
+    threadMessages = null;
+    threadLoadId++;
+
+    const panel = document.getElementById('thread-panel');
+    panel.style.display = 'none';
+    document.getElementById('thread-messages').textContent = '';
+};
+
+/**
+ * Apply a message change from the store to the open thread
+ * @param {object} change - { type, channelId, message | messageId | messages }
+ */
+const handleMessageChange = (change) => {
+    if (change.channelId !== threadChannelId || !threadMessages) {
+        return;
+    }
+
+    // The newest page was re-fetched (after a send or a poll): replies are newer than
+    // their parent, so new ones are on this page and the history isn't walked again
+    if (change.type === 'refreshed') {
+        mergeNewestReplies(change.messages);
+        return;
+    }
+
+    let { parent, replies } = threadMessages;
+    const container = document.getElementById('thread-messages');
+    const scrollTop = container.scrollTop;
+
+    if (change.type === 'added') {
+        if (!isReplyTo(change.message, threadParentId)) {
+            return;
+        }
+        replies = [change.message].concat(replies);
+    } else if (change.type === 'updated') {
+        if (parent && parent.id === change.message.id) {
+            parent = change.message;
+        }
+        replies = replies.map(msg => (msg.id === change.message.id ? change.message : msg));
+    } else if (change.type === 'removed') {
+        if (parent && parent.id === change.messageId) {
+            parent = null;
+        }
+        replies = replies.filter(msg => msg.id !== change.messageId);
+    }
+
+    renderThread(parent, replies, threadChannelId, null);
+    // Keep the reading position unless a new reply was added
+    if (change.type !== 'added') {
+        container.scrollTop = scrollTop;
+    }
+};
+
+/**
+ * Update the open thread from a re-fetched newest page
+ * New and changed replies come from the page, sent replies replace their pending copies
+ * @param {Array} messages - Newest page of messages (newest first)
+ */
+const mergeNewestReplies = (messages) => {
+    const { parent, replies } = threadMessages;
+    const pageReplies = messages.filter(msg => isReplyTo(msg, threadParentId));
+    const storedReplies = replies
+        .filter(msg => !msg.pending && !pageReplies.some(pageReply => pageReply.id === msg.id))
+        .concat(pageReplies)
+        .sort((a, b) => b.id - a.id);
+
+    // Replies still in the outbox are the newest ones
+    const pendingReplies = getPendingMessages(threadChannelId).filter(msg => isReplyTo(msg, threadParentId));
+    const mergedReplies = pendingReplies.reverse().concat(storedReplies);
+    const mergedParent = (parent && messages.find(msg => msg.id === parent.id)) || parent;
+
+    if (JSON.stringify({ parent: mergedParent, replies: mergedReplies }) === JSON.stringify(threadMessages)) {
+        return;
+    }
+
+    const container = document.getElementById('thread-messages');
+    const scrollTop = container.scrollTop;
+    const hasNewReply = storedReplies.some(msg => !replies.some(old => old.id === msg.id));
+    renderThread(mergedParent, mergedReplies, threadChannelId, null);
+    // Keep the reading position unless a new reply was added
+    if (!hasNewReply) {
+        container.scrollTop = scrollTop;
+    }
+};
+
+/**
+ * Set up thread panel event listeners (once)
+ */
+const initThreadPanel = () => {
+    if (isInitialized) {
+        return;
+    }
+    isInitialized = true;
+
+    subscribe('messages', handleMessageChange);
+    document.getElementById('thread-close').addEventListener('click', closeThread);
+    document.getElementById('thread-reply-send').addEventListener('click', sendReply);
+
+    // Enter sends, Shift+Enter adds a new line (same as the main message input)
+    document.getElementById('thread-reply-input').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            sendReply();
+        }
+    });
+};
+
+/**
+ * Fetch pages from the newest message until the parent is found
+ * Replies are always newer than their parent, so all of them are found on the way
+ * @param {number} channelId - Channel ID
+ * @param {number} parentId - Parent message ID
+ * @param {number} start - Offset of the page to request
+ * @param {Array} replies - Replies collected so far (newest first)
+ * @return {Promise} Promise resolving to { parent, replies }, parent is null if it was deleted
+ */
+const loadThread = (channelId, parentId, start = 0, replies = []) => {
+    return getMessages(channelId, start)
+        .then(data => {
+            if (data.messages.length === 0) {
+                return { parent: null, replies };
+            }
+
+            const pageReplies = data.messages.filter(msg => isReplyTo(msg, parentId));
+            const allReplies = replies.concat(pageReplies);
+            const parent = data.messages.find(msg => msg.id === parentId);
+
+            if (parent) {
+                return { parent, replies: allReplies };
+            }
+            return loadThread(channelId, parentId, start + data.messages.length, allReplies);
+        });
+};
+
+/**
+ * Load the open thread and render it in the panel
+ * @param {number|null} highlightId - Reply to scroll to and highlight
+ */
+const loadThreadPanel = (highlightId) => {
+    const channelId = threadChannelId;
+    const parentId = threadParentId;
+    const loadId = ++threadLoadId;
+    const container = document.getElementById('thread-messages');
+
+    if (!container.hasChildNodes()) {
+        const loading = document.createElement('p');
+        loading.className = 'messages-loading-indicator';
+        loading.textContent = 'Loading thread...';
+        container.appendChild(loading);
+    }
+
+    loadThread(channelId, parentId)
+        .then(({ parent, replies }) => {
+            // Ignore the response if another thread was opened meanwhile
+            if (loadId !== threadLoadId) {
+                return;
+            }
+
+            // Replies still in the outbox are the newest ones
+            const pendingReplies = getPendingMessages(channelId).filter(msg => isReplyTo(msg, parentId));
+            renderThread(parent, pendingReplies.reverse().concat(replies), channelId, highlightId);
+        })
+        .catch(error => {
+            console.error('Failed to load thread:', error);
+        });
+};
+
+/**
+ * Render the parent message followed by its replies (oldest first)
+ * @param {object|null} parent - Parent message, null if it was deleted
+ * @param {Array} replies - Replies (newest first, as returned by the backend)
+ * @param {number} channelId - Channel ID
+ * @param {number|null} highlightId - Reply to scroll to and highlight
+ */
+const renderThread = (parent, replies, channelId, highlightId) => {
+    const container = document.getElementById('thread-messages');
+    const currentUserId = getUserId();
+    container.textContent = '';
+    threadMessages = { parent, replies };
+
+    if (parent) {
+        const parentEl = createMessageElement(parent, currentUserId, channelId);
+        parentEl.classList.add('thread-parent');
+        container.appendChild(parentEl);
+    } else {
+        const deleted = document.createElement('p');
+        deleted.className = 'empty-message';
+        deleted.textContent = 'The original message has been deleted.';
+        container.appendChild(deleted);
+    }
+
+    const divider = document.createElement('div');
+    divider.className = 'thread-divider';
+    divider.textContent = replies.length === 1 ? '1 reply' : `${replies.length} replies`;
+    container.appendChild(divider);
+
+    [...replies].reverse().forEach(msg => {
+        container.appendChild(createMessageElement(msg, currentUserId, channelId));
+    });
+
+    const highlightEl = highlightId && container.querySelector(`[data-message-id="${highlightId}"]`);
+    if (highlightEl) {
+        highlightEl.scrollIntoView({ block: 'center' });
+        highlightEl.classList.add('message-highlight');
+        setTimeout(() => highlightEl.classList.remove('message-highlight'), 3000);
+    } else {
+        container.scrollTop = container.scrollHeight;
+    }
+};
+
+/**
+ * Send the reply typed in the thread panel
+ * Replies are regular messages with a reply header (see encodeReply)
+ */
+const sendReply = () => {
+    const input = document.getElementById('thread-reply-input');
+    const text = input.value.trim();
+    const channelId = threadChannelId;
+
+    if (channelId === null) {
+        return;
+    }
+
+    if (!text) {
+        showError('Reply cannot be empty');
+        return;
+    }
+
+    // Shown as pending right away; once sent, the store's refresh updates
+    // the thread and the reply count in the timeline (failed replies can be retried)
+    input.value = '';
+    sendChannelMessage(channelId, encodeReply(threadParentId, text), null)
+        .catch(error => {
+            console.error('Failed to send reply:', error);
+        });
+};
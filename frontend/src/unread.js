@@ -0,0 +1,132 @@
+/**
+ * Unread message tracking for Slackr
+ * Stores the last read message of each channel per user and shows
+ * unread count badges in the channel list
+ */
+
+import { getUserId } from './helpers.js';
+
+const MESSAGES_PAGE_SIZE = 25; // Backend page size, counts beyond one page show as "25+"
+
+// channelId -> number of unread messages from other users
+let unreadCounts = {};
+
+/**
+ * Get the localStorage key for the current user's read positions
+ * @return {string} localStorage key
+ */
+const getLastReadKey = () => `slackr-last-read-${getUserId()}`;
+
+/**
+ * Get the last read message of every channel for the current user
+ * @return {object} channelId -> { id, sentAt } of the last read message
+ */
+const getLastRead = () => {
+    try {
+        return JSON.parse(localStorage.getItem(getLastReadKey())) || {};
+    } catch (error) {
+        return {};
+    }
+};
+
+/**
+ * Store the last read message of a channel
+ * @param {number} channelId - Channel ID
+ * @param {object} msg - Newest message the user has seen
+ */
+const saveLastRead = (channelId, msg) => {
+    const lastRead = getLastRead();
+    lastRead[channelId] = { id: msg.id, sentAt: msg.sentAt };
+    localStorage.setItem(getLastReadKey(), JSON.stringify(lastRead));
+};
+
+/**
+ * Mark a channel as read up to its newest message
+ * Called when the channel's messages are displayed
+ * @param {number} channelId - Channel ID
+ * @param {Array} messages - Newest page of messages (newest first)
+ */
+export const markChannelRead = (channelId, messages) => {
+    if (messages.length > 0) {
+        saveLastRead(channelId, messages[0]);
+    }
+    setUnreadCount(channelId, 0);
+};
+
+/**
+ * Recount unread messages of a channel from its newest page
+ * The first time a channel is seen, its newest message is treated as read
+ * @param {number} channelId - Channel ID
+ * @param {Array} messages - Newest page of messages (newest first)
+ */
+export const updateUnreadCount = (channelId, messages) => {
+    if (messages.length === 0) {
+        return;
+    }
+
+    const lastReadMessage = getLastRead()[channelId];
+    if (!lastReadMessage) {
+        markChannelRead(channelId, messages);
+        return;
+    }
+
+    // Compare by time, the last read message may have been deleted since
+    const userId = getUserId();
+    const lastReadTime = new Date(lastReadMessage.sentAt);
+    const unread = messages.filter(msg => {
+        return msg.id !== lastReadMessage.id &&
+               new Date(msg.sentAt) > lastReadTime &&
+               msg.sender !== userId;
+    });
+
+    setUnreadCount(channelId, unread.length);
+};
+
+/**
+ * Forget in-memory unread counts (on logout)
+ */
+export const resetUnreadCounts = () => {
+    unreadCounts = {};
+};
+
+/**
+ * Update a channel's unread count and its badge in the channel list
+ * @param {number} channelId - Channel ID
+ * @param {number} count - Number of unread messages
+ */
+const setUnreadCount = (channelId, count) => {
+    unreadCounts[channelId] = count;
+
+    const channelElement = document.querySelector(`.channel-container[data-channel-id="${channelId}"]`);
+    if (channelElement) {
+        renderUnreadBadge(channelElement, channelId);
+    }
+};
+
+/**
+ * Render (or remove) the unread badge on a channel list item
+ * Channels with unread messages are also shown in bold
+ * @param {HTMLElement} channelElement - Channel container element
+ * @param {number} channelId - Channel ID
+ */
+export const renderUnreadBadge = (channelElement, channelId) => {
+    const count = unreadCounts[channelId] || 0;
+    let badge = channelElement.querySelector('.channel-unread-badge');
+
+    channelElement.classList.toggle('unread', count > 0);
+
+    if (count === 0) {
+        if (badge) {
+            badge.remove();
+        }
+        return;
+    }
+
+    if (!badge) {
+        badge = document.createElement('span');
+        badge.className = 'channel-unread-badge';
+        channelElement.appendChild(badge);
+    }
+    badge.textContent = count >= MESSAGES_PAGE_SIZE ? `${MESSAGES_PAGE_SIZE}+` : `${count}`;
+    badge.title = `${count} unread message${count === 1 ? '' : 's'}`;
+};
@@ -0,0 +1,161 @@
+/**
+ * User directory for Slackr
+ * Caches user profiles so names and avatars don't cost one request per message
+ * Profiles are kept for USER_CACHE_TTL and persisted in sessionStorage, so a
+ * reload within the same tab doesn't fetch them again
+ */
+
+import { getUserProfile, getAllUsers } from './api.js';
+import { USER_CACHE_TTL } from './config.js';
+import { handleError } from './errors.js';
+
+// sessionStorage key for cached profiles
+const USER_CACHE_KEY = 'slackr-user-directory';
+
+let profiles = null; // userId -> { profile, fetchedAt }, loaded from sessionStorage on first use
+let pendingProfiles = {}; // userId -> in-flight profile request
+let userList = null; // { users, fetchedAt } from getAllUsers
+let userListPromise = null; // In-flight user list request
+
+/**
+ * Get the cached profiles, loading them from sessionStorage on first use
+ * @return {object} userId -> { profile, fetchedAt }
+ */
+const getProfiles = () => {
+    if (!profiles) {
+        try {
+            profiles = JSON.parse(sessionStorage.getItem(USER_CACHE_KEY)) || {};
+        } catch (error) {
+            profiles = {};
+        }
+    }
+    return profiles;
+};
+
+/**
+ * Write the cached profiles to sessionStorage
+ * Ignores quota errors (profile photos can be large)
+ */
+const saveProfiles = () => {
+    try {
+        sessionStorage.setItem(USER_CACHE_KEY, JSON.stringify(getProfiles()));
+    } catch (error) {
+        console.error('Failed to cache user profiles:', error);
+    }
+};
+
+/**
+ * Check whether a cache entry is younger than USER_CACHE_TTL
+ * @param {object|null} entry - { fetchedAt }
+ * @return {boolean} True if the entry can be used without fetching
+ */
+const isFresh = (entry) => Boolean(entry) && Date.now() - entry.fetchedAt < USER_CACHE_TTL;
+
+/**
+ * Get a user's profile if it is cached and fresh, without fetching it
+ * Lets views render names and avatars right away instead of showing placeholders
+ * @param {number} userId - User ID
+ * @return {object|null} User profile, or null if it has to be fetched
+ */
+export const peekUser = (userId) => {
+    const entry = getProfiles()[userId];
+    return isFresh(entry) ? entry.profile : null;
+};
+
+/**
+ * Get a user's profile
+ * Concurrent requests for the same user share one API call, and an expired
+ * profile is still used if fetching a fresh one fails (e.g. while offline)
+ * @param {number} userId - User ID
+ * @param {boolean} showErrors - Whether to show the error popup on failure (false for background lookups)
+ * @return {Promise<object>} Promise resolving to the user's profile
+ */
+export const getUser = (userId, showErrors = true) => {
+    const entry = getProfiles()[userId];
+    if (isFresh(entry)) {
+        return Promise.resolve(entry.profile);
+    }
+
+    // The shared call stays quiet, each caller that wants the popup reports the failure itself
+    if (!pendingProfiles[userId]) {
+        pendingProfiles[userId] = getUserProfile(userId, false)
+            .then(profile => {
+                delete pendingProfiles[userId];
+                getProfiles()[userId] = { profile, fetchedAt: Date.now() };
+                saveProfiles();
+                return profile;
+            })
+            .catch(error => {
+                delete pendingProfiles[userId];
+                return entry ? entry.profile : Promise.reject(error);
+            });
+    }
+    if (!showErrors) {
+        return pendingProfiles[userId];
+    }
+    return pendingProfiles[userId]
+        .catch(error => {
+            handleError(error);
+            return Promise.reject(error);
+        });
+};
+
+/**
+ * Get the profiles of several users, fetching each distinct user at most once
+ * @param {Array<number>} userIds - User IDs (may contain duplicates)
+ * @return {Promise<object>} Promise resolving to userId -> profile (null if it could not be fetched)
+ */
+export const getUsers = (userIds) => {
+    const uniqueIds = [...new Set(userIds)];
+    return Promise.all(uniqueIds.map(userId => getUser(userId).catch(() => null)))
+        .then(results => {
+            const usersById = {};
+            uniqueIds.forEach((userId, index) => {
+                usersById[userId] = results[index];
+            });
+            return usersById;
+        });
+};
+
+/**
+ * Get the list of all users (IDs and emails)
+ * @return {Promise<Array>} Promise resolving to [{ id, email }]
+ */
+export const getUserList = () => {
+    if (isFresh(userList)) {
+        return Promise.resolve(userList.users);
+    }
+    if (!userListPromise) {
+        userListPromise = getAllUsers()
+            .then(data => {
+                userListPromise = null;
+                userList = { users: data.users, fetchedAt: Date.now() };
+                return data.users;
+            })
+            .catch(error => {
+                userListPromise = null;
+                return Promise.reject(error);
+            });
+    }
+    return userListPromise;
+};
+
+/**
+ * Drop a cached user profile (after the user updated it)
+ * @param {number} userId - User ID
+ */
+export const invalidateUser = (userId) => {
+    delete getProfiles()[userId];
+    saveProfiles();
+};
+
+/**
+ * Drop all cached profiles (on logout)
+ */
+export const clearUserDirectory = () => {
+    profiles = {};
+    pendingProfiles = {};
+    userList = null;
+    userListPromise = null;
+    sessionStorage.removeItem(USER_CACHE_KEY);
+};
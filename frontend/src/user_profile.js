@@ -4,8 +4,13 @@
  * Implements Milestone 2.4.2 and 2.4.3
  */
 
-import { getUserProfile, updateUserProfile } from './api.js';
+import { updateUserProfile } from './api.js';
+import { getUser, invalidateUser } from './user_directory.js';
+import { broadcast } from './tab_sync.js';
 import { getUserId, showError, showNotice, fileToDataUrl } from './helpers.js';
+import { routeToProfile, closeProfileRoute } from './router.js';
+import { openDirectMessage } from './direct_messages.js';
+import { openModal, closeModal } from './modal.js';
 
 // Track event listener state to prevent duplicate listeners
 let isEditModeActive = false;
@@ -13,6 +18,36 @@ let currentSubmitHandler = null;
 let currentCancelHandler = null;
 let currentOutsideClickHandler = null;
 
+// Hide functions of the currently open profile modals (used when the route changes)
+let hideUserProfileModal = null;
+let hideOwnProfileEdit = null;
+
+/**
+ * Close every open profile modal without touching the URL
+ * Used by the router when navigating away from a profile route
+ */
+export const closeProfiles = () => {
+    if (hideUserProfileModal) {
+        hideUserProfileModal();
+    }
+    if (hideOwnProfileEdit) {
+        hideOwnProfileEdit();
+    }
+    const viewModal = document.getElementById('profile-view-modal');
+    if (viewModal) {
+        removeViewModal(viewModal);
+    }
+};
+
+/**
+ * Close and remove the own profile view modal
+ * @param {HTMLElement} modal - #profile-view-modal element
+ */
+const removeViewModal = (modal) => {
+    closeModal(modal);
+    modal.remove();
+};
+
 /**
  * Show a user's profile modal (for viewing other users)
  * Implements 2.4.2 - User profiles
@@ -21,12 +56,22 @@ let currentOutsideClickHandler = null;
 export const showUserProfile = (userId) => {
     const modal = document.getElementById('profile-container');
     const closeBtn = document.getElementById('profile-close');
+    const messageBtn = document.getElementById('profile-message-button');
+
+    // Replace any profile that is already open
+    closeProfiles();
+
+    // Reflect the profile in the URL (Milestone 2.7.2)
+    routeToProfile(userId);
 
     // Show loading state
-    modal.style.display = 'flex';
+    openModal(modal, { onClose: () => closeHandler() });
+
+    // Direct messages can only be sent to other users
+    messageBtn.style.display = userId === getUserId() ? 'none' : 'inline-block';
 
     // Fetch user profile
-    getUserProfile(userId)
+    getUser(userId)
         .then(user => {
             // Update modal content
             const profileImage = document.getElementById('profile-image');
@@ -49,14 +94,22 @@ export const showUserProfile = (userId) => {
         })
         .catch(error => {
             console.error('Failed to load user profile:', error);
-            modal.style.display = 'none';
+            closeHandler();
         });
 
-    // Close button handler
-    const closeHandler = () => {
-        modal.style.display = 'none';
+    // Hide modal and remove its listeners
+    const hideModal = () => {
+        closeModal(modal);
         closeBtn.removeEventListener('click', closeHandler);
+        messageBtn.removeEventListener('click', messageHandler);
         modal.removeEventListener('click', outsideClickHandler);
+        hideUserProfileModal = null;
+    };
+
+    // Close button handler
+    const closeHandler = () => {
+        hideModal();
+        closeProfileRoute();
     };
 
     // Click outside to close
@@ -66,7 +119,15 @@ export const showUserProfile = (userId) => {
         }
     };
 
+    // Message button handler: open (or start) the direct message with this user
+    const messageHandler = () => {
+        closeHandler();
+        openDirectMessage(userId);
+    };
+
+    hideUserProfileModal = hideModal;
     closeBtn.addEventListener('click', closeHandler);
+    messageBtn.addEventListener('click', messageHandler);
     modal.addEventListener('click', outsideClickHandler);
 };
 
@@ -77,8 +138,14 @@ export const showUserProfile = (userId) => {
 export const showOwnProfile = () => {
     const userId = getUserId();
 
+    // Replace any profile that is already open
+    closeProfiles();
+
+    // Reflect the profile in the URL (Milestone 2.7.2)
+    routeToProfile();
+
     // Fetch current user profile first
-    getUserProfile(userId)
+    getUser(userId)
         .then(user => {
             // Show view mode first
             showProfileViewMode(user);
@@ -97,14 +164,13 @@ const showProfileViewMode = (user) => {
     // Remove existing view modal if any
     const existing = document.getElementById('profile-view-modal');
     if (existing) {
-        existing.remove();
+        removeViewModal(existing);
     }
 
     // Create modal
     const modal = document.createElement('div');
     modal.id = 'profile-view-modal';
     modal.className = 'modal';
-    modal.style.display = 'flex';
 
     const content = document.createElement('div');
     content.className = 'modal-content';
@@ -162,7 +228,7 @@ const showProfileViewMode = (user) => {
     editBtn.textContent = 'Edit Profile';
     editBtn.className = 'btn-primary';
     editBtn.addEventListener('click', () => {
-        modal.remove();
+        removeViewModal(modal);
         showProfileEditMode(user);
     });
     btnContainer.appendChild(editBtn);
@@ -170,17 +236,22 @@ const showProfileViewMode = (user) => {
     const closeBtn = document.createElement('button');
     closeBtn.textContent = 'Close';
     closeBtn.className = 'btn-secondary';
-    closeBtn.addEventListener('click', () => modal.remove());
+    const closeViewMode = () => {
+        removeViewModal(modal);
+        closeProfileRoute();
+    };
+    closeBtn.addEventListener('click', closeViewMode);
     btnContainer.appendChild(closeBtn);
 
     content.appendChild(btnContainer);
     modal.appendChild(content);
     document.body.appendChild(modal);
+    openModal(modal, { onClose: closeViewMode });
 
     // Click outside to close
     modal.addEventListener('click', (e) => {
         if (e.target === modal) {
-            modal.remove();
+            closeViewMode();
         }
     });
 };
@@ -213,8 +284,8 @@ const showProfileEditMode = (user) => {
     // Mark edit mode as active
     isEditModeActive = true;
 
-    // Show modal
-    modal.style.display = 'flex';
+    // Show modal (Escape closes it like the cancel button)
+    openModal(modal, { onClose: () => closeOwnProfile() });
 
     // Populate form with current values
     document.getElementById('own-profile-name').value = user.name || '';
@@ -264,6 +335,8 @@ const showProfileEditMode = (user) => {
                 );
             })
             .then(() => {
+                invalidateUser(getUserId());
+                broadcast('profile-updated', { userId: getUserId() });
                 showNotice('Profile updated successfully');
                 closeOwnProfile();
             })
@@ -280,7 +353,13 @@ const showProfileEditMode = (user) => {
 
     // Close function
     const closeOwnProfile = () => {
-        modal.style.display = 'none';
+        hideEditMode();
+        closeProfileRoute();
+    };
+
+    // Hide modal, remove listeners and reset the form
+    const hideEditMode = () => {
+        closeModal(modal);
         form.removeEventListener('submit', submitHandler);
         cancelBtn.removeEventListener('click', cancelHandler);
         modal.removeEventListener('click', outsideClickHandler);
@@ -291,6 +370,7 @@ const showProfileEditMode = (user) => {
         currentSubmitHandler = null;
         currentCancelHandler = null;
         currentOutsideClickHandler = null;
+        hideOwnProfileEdit = null;
     };
 
     // Click outside to close
@@ -304,6 +384,7 @@ const showProfileEditMode = (user) => {
     currentSubmitHandler = submitHandler;
     currentCancelHandler = cancelHandler;
     currentOutsideClickHandler = outsideClickHandler;
+    hideOwnProfileEdit = hideEditMode;
 
     form.addEventListener('submit', submitHandler);
     cancelBtn.addEventListener('click', cancelHandler);